@@ -0,0 +1,151 @@
+/* eslint-disable no-console */
+const path = require('path');
+const lazy = require('..');
+
+// Usage: node bench [path to another copy of lazyer]
+// When a path is given, that copy is benchmarked alongside this one, e.g. a checkout of an older version.
+const baseline = process.argv[2]
+    ? require(path.resolve(process.argv[2]))
+    : null;
+
+const data = Array.from({ length: 10000 }, (_, i) => i);
+
+const suites = [
+    {
+        name: 'map and filter, 10 stages',
+        loop: () => {
+            let sum = 0;
+            for (const n of data) {
+                const a = n + 1;
+                if (a % 3 === 0) {
+                    continue;
+                }
+
+                const b = a * 2;
+                if (b % 5 === 0) {
+                    continue;
+                }
+
+                const c = b - 1;
+                if (c % 7 === 0) {
+                    continue;
+                }
+
+                const d = c + 3;
+                if (d % 11 === 0) {
+                    continue;
+                }
+
+                const e = d >> 1;
+                if (e % 13 === 0) {
+                    continue;
+                }
+
+                sum += e;
+            }
+
+            return sum;
+        },
+        lib: lib => lib.from(data)
+            .map(n => n + 1)
+            .filter(n => n % 3 !== 0)
+            .map(n => n * 2)
+            .filter(n => n % 5 !== 0)
+            .map(n => n - 1)
+            .filter(n => n % 7 !== 0)
+            .map(n => n + 3)
+            .filter(n => n % 11 !== 0)
+            .map(n => n >> 1)
+            .filter(n => n % 13 !== 0)
+            .sum()
+    },
+    {
+        name: 'skipWhile, takeWhile and each',
+        loop: () => {
+            let count = 0;
+            let sum = 0;
+            for (const n of data) {
+                if (n < 1000) {
+                    continue;
+                }
+
+                if (n >= 9000) {
+                    break;
+                }
+
+                count++;
+                sum += n * 2;
+            }
+
+            return sum + count;
+        },
+        lib: lib => {
+            let count = 0;
+            const sum = lib.from(data)
+                .skipWhile(n => n < 1000)
+                .takeWhile(n => n < 9000)
+                .each(() => count++)
+                .map(n => n * 2)
+                .sum();
+            return sum + count;
+        }
+    },
+    {
+        name: 'endless range, map, filter and take',
+        loop: () => {
+            const res = [];
+            for (let n = 0; res.length < 5000; n++) {
+                const sq = n * n;
+                if (sq % 3 === 1) {
+                    res.push(sq);
+                }
+            }
+
+            return res.length;
+        },
+        lib: lib => lib.range()
+            .map(n => n * n)
+            .filter(n => n % 3 === 1)
+            .take(5000)
+            .collect()
+            .length
+    }
+];
+
+const measure = fn => {
+    const deadline = Date.now() + 200;
+    while (Date.now() < deadline) {
+        fn();
+    }
+
+    let runs = 0;
+    const start = process.hrtime();
+    let elapsed = 0;
+    while (elapsed < 1) {
+        fn();
+        runs++;
+        const diff = process.hrtime(start);
+        elapsed = diff[0] + (diff[1] / 1e9);
+    }
+
+    return runs / elapsed;
+};
+
+const format = opsPerSec => `${opsPerSec.toFixed(0).padStart(8)} ops/sec`;
+
+for (const suite of suites) {
+    const candidates = [['hand-written loop', suite.loop], ['lazyer', () => suite.lib(lazy)]];
+    if (baseline) {
+        candidates.push(['baseline', () => suite.lib(baseline)]);
+    }
+
+    const expected = suite.loop();
+    console.log(suite.name);
+    for (const [name, fn] of candidates) {
+        if (fn() !== expected) {
+            throw new Error(`Benchmark ${suite.name} gave a different result for ${name}`);
+        }
+
+        console.log(`  ${name.padEnd(20)}${format(measure(fn))}`);
+    }
+}
@@ -0,0 +1,3212 @@
+const { inspect } = require('util');
+const { stageErrors, stageCallback } = require('./errors');
+const { debugging, traceNext, stageName, describeChain } = require('./trace');
+const { measuring, timeCallback, chainMetrics, measureIterator } = require('./metrics');
+const { CompensatedSum, RunningVariance, checkProbabilities, exactQuantiles, QuantileSketch } = require('./stats');
+const {
+    sameValueZero,
+    consFunctions,
+    extendFunctions,
+    defineCollectionMethods,
+    defineSeqMethods,
+    splitOptions,
+    defaultCompare,
+    Heap,
+    isBigInt,
+    takesIndex
+} = require('./util');
+
+/**
+ * Class for lazy asynchronous iteration.
+ * Wraps around an async iterator.
+ * Callbacks given to the methods may return promises.
+ * @class
+ */
+class AsyncLazyIterator {
+    /**
+     * Wraps an async lazy iterator around an async iterator.
+     * @param {AsyncIterator} iterator Object that implements JavaScript's async iterator protocol.
+     */
+    constructor(iterator) {
+        this.iterator = iterator;
+        this.peeked = false;
+        this.peekedAt = null;
+        this.closed = false;
+        if (debugging.enabled || measuring.enabled) {
+            instrumentIterator(this);
+        }
+    }
+
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+
+    [inspect.custom]() {
+        return `AsyncLazyIterator [${describeChain(this, AsyncLazyIterator)}]`;
+    }
+
+    /**
+     * Returns the next item in the iterator.
+     * @returns {Promise<IteratorResult>} Iterator item.
+     */
+    next() {
+        if (this.peeked) {
+            this.peeked = false;
+            return this.peekedAt;
+        }
+
+        return this.pull();
+    }
+
+    /**
+     * Peeks at the next item in the iterator.
+     * @returns {Promise<IteratorResult>} Iterator item.
+     */
+    peek() {
+        if (this.peeked) {
+            return this.peekedAt;
+        }
+
+        this.peeked = true;
+        this.peekedAt = this.pull();
+        return this.peekedAt;
+    }
+
+    async pull() {
+        if (this.closed) {
+            return { done: true, value: undefined };
+        }
+
+        const item = await this.iterator.next();
+        if (item.done) {
+            this.closed = true;
+        }
+
+        return item;
+    }
+
+    /**
+     * Closes the iterator early.
+     * All underlying iterators that are not done yet are closed, once.
+     * This is called automatically when breaking out of a loop over the iterator.
+     * @param {any} [value] Value to return.
+     * @returns {Promise<IteratorResult>} The done iterator item.
+     */
+    async return(value) {
+        if (!this.closed) {
+            this.closed = true;
+            this.peeked = false;
+            this.peekedAt = null;
+            await closeIterator(this.iterator);
+        }
+
+        return { done: true, value };
+    }
+
+    /**
+     * Closes the iterator because of an error, then throws that error.
+     * All underlying iterators that are not done yet are closed, once.
+     * @param {any} err Error to throw.
+     * @returns {Promise<IteratorResult>} Never resolves.
+     */
+    async throw(err) {
+        await this.return();
+        throw err;
+    }
+
+    /**
+     * Returns the value at a certain position.
+     * This consumes the iterator until the given position, then closes it.
+     * @param {number} index Position of value.
+     * @returns {Promise<any>} The value at the given position.
+     */
+    async at(index) {
+        let value;
+        for (let i = 0; i <= index; i++) {
+            // eslint-disable-next-line no-await-in-loop
+            const item = await this.next();
+            if (item.done) {
+                return undefined;
+            }
+
+            value = item.value;
+        }
+
+        await this.return();
+        return value;
+    }
+
+    /**
+     * Returns the size of the iterator.
+     * This consumes the iterator.
+     * @returns {Promise<number>} Size of the iterator.
+     */
+    async count() {
+        let i = 0;
+        // eslint-disable-next-line no-await-in-loop
+        while (!(await this.next()).done) {
+            i++;
+        }
+
+        return i;
+    }
+
+    /**
+     * Returns the last item of the iterator.
+     * This consumes the iterator.
+     * @returns {Promise<any>} Last item of the iterator.
+     */
+    async last() {
+        let val;
+        for await (const value of this) {
+            val = value;
+        }
+
+        return val;
+    }
+
+    /**
+     * Returns an iterator that steps in an interval.
+     * The iterator starts at the first element.
+     * @param {number} stepSize Interval to step by.
+     * @returns {AsyncStepIterator} The iterator.
+     */
+    stepBy(stepSize) {
+        return new AsyncStepIterator(this, stepSize);
+    }
+
+    /**
+     * Returns an iterator that skips some amount of elements.
+     * @param {number} skipAmount Amount of elements to skip.
+     * @returns {AsyncSkipIterator} The iterator.
+     */
+    skip(skipAmount) {
+        return new AsyncSkipIterator(this, skipAmount);
+    }
+
+    /**
+     * Returns an iterator that takes only some amount of elements.
+     * Fractional amounts are rounded up, and negative amounts take nothing.
+     * @param {number} takeAmount Amount of elements to take.
+     * @returns {AsyncTakeIterator} The iterator.
+     */
+    take(takeAmount) {
+        return new AsyncTakeIterator(this, takeAmount);
+    }
+
+    /**
+     * Returns an iterator that skips while a condition is true.
+     * The iterator will skip until the predicate returns false.
+     * After that, all elements will be yielded as normal.
+     * @param {AsyncPredicate} fn Predicate function.
+     * @returns {AsyncSkipWhileIterator} The iterator.
+     */
+    skipWhile(fn) {
+        return new AsyncSkipWhileIterator(this, wrapCallback('skipWhile', this, withIndex(fn)));
+    }
+
+    /**
+     * Returns an iterator that takes while a condition is true.
+     * The iterator will take until the predicate returns false.
+     * After that, the iterator is considered done.
+     * @param {AsyncPredicate} fn Predicate function.
+     * @returns {AsyncTakeWhileIterator} The iterator.
+     */
+    takeWhile(fn) {
+        return new AsyncTakeWhileIterator(this, wrapCallback('takeWhile', this, withIndex(fn)));
+    }
+
+    /**
+     * Returns an iterator that puts multiple consecutive values into one value.
+     * If the iterator does not divide evenly into the given size, there will be a shorter chunk at the end.
+     * @param {number} chunkSize Size of a chunk.
+     * @returns {AsyncChunkIterator} The iterator.
+     */
+    chunk(chunkSize) {
+        return new AsyncChunkIterator(this, chunkSize);
+    }
+
+    /**
+     * Returns an iterator over overlapping windows of consecutive values.
+     * A new window starts every `step` values, so windows overlap when the step is smaller than the size.
+     * Only the last `size` values are buffered, so this works on endless iterators.
+     * @param {number} size Size of a window.
+     * @param {number} [step=1] Amount of values between the start of each window.
+     * @param {Object} [options] Options for the windows.
+     * @param {boolean} [options.partial=false] Whether to also yield the shorter windows at the end.
+     * @returns {AsyncWindowsIterator} The iterator.
+     */
+    windows(size, step = 1, { partial = false } = {}) {
+        if (!Number.isInteger(size) || size < 1) {
+            throw new RangeError('Window size must be an integer greater than or equal to 1');
+        }
+
+        if (!Number.isInteger(step) || step < 1) {
+            throw new RangeError('Window step must be an integer greater than or equal to 1');
+        }
+
+        return new AsyncWindowsIterator(this, size, step, partial);
+    }
+
+    /**
+     * Returns an iterator that includes the index.
+     * The iterator will iterate through (index, value) pairs.
+     * @returns {AsyncEnumerateIterator} The iterator.
+     */
+    enumerate() {
+        return new AsyncEnumerateIterator(this);
+    }
+
+    /**
+     * Returns an iterator that is a chain of iterators.
+     * Once one iterator is done, the next iterator starts.
+     * @param {Array<AsyncIterator|AsyncIterable|Iterator|Iterable>} iters Iterators or iterables.
+     * @returns {AsyncConcatIterator} The iterator.
+     */
+    concat(...iters) {
+        return new AsyncConcatIterator(this, iters.map(iter => AsyncLazyIterator.from(iter)));
+    }
+
+    /**
+     * Returns an iterator that alternates between this iterator and other iterators.
+     * Iterators that are done are skipped, until all of them are done.
+     * @param {Array<AsyncIterator|AsyncIterable|Iterator|Iterable>} iters Iterators or iterables.
+     * @returns {AsyncInterleaveIterator} The iterator.
+     */
+    interleave(...iters) {
+        return this.roundRobin(1, ...iters);
+    }
+
+    /**
+     * Returns an iterator that takes turns between this iterator and other iterators.
+     * Each turn takes up to some amount of elements from an iterator, given per iterator or for all of them.
+     * Iterators that are done are skipped, until all of them are done.
+     * @param {number|Array<number>} weights Amount of elements to take per turn.
+     * @param {Array<AsyncIterator|AsyncIterable|Iterator|Iterable>} iters Iterators or iterables.
+     * @returns {AsyncInterleaveIterator} The iterator.
+     */
+    roundRobin(weights, ...iters) {
+        const amounts = Array.isArray(weights)
+            ? weights
+            : [this, ...iters].map(() => weights);
+
+        if (amounts.length !== iters.length + 1 || !amounts.every(amount => Number.isInteger(amount) && amount >= 1)) {
+            throw new RangeError('Weights must be integers greater than or equal to 1, one for each iterator');
+        }
+
+        return new AsyncInterleaveIterator(this, iters.map(iter => AsyncLazyIterator.from(iter)), amounts);
+    }
+
+    /**
+     * Returns an iterator that merges this iterator with other iterators, all of which are already sorted.
+     * Elements are yielded in sorted order, and equal elements in the order of the iterators they came from.
+     * Only one element per iterator is held at a time.
+     * A comparator may be given after the iterators, otherwise elements are compared with `<` and `>`.
+     * @param {Array<AsyncIterator|AsyncIterable|Iterator|Iterable>} iters Iterators or iterables.
+     * @param {Comparator} [compare] Comparator function.
+     * @returns {AsyncMergeSortedIterator} The iterator.
+     */
+    mergeSorted(...iters) {
+        const compare = typeof iters[iters.length - 1] === 'function'
+            ? iters.pop()
+            : defaultCompare;
+
+        return new AsyncMergeSortedIterator(this, iters.map(iter => AsyncLazyIterator.from(iter)), compare);
+    }
+
+    /**
+     * Returns an iterator over the elements in either this iterator or another iterator, both sorted.
+     * @param {AsyncIterator|AsyncIterable|Iterator|Iterable} iter Iterator or iterable.
+     * @param {Object} [options] Options for the comparison.
+     * @param {AsyncComparator} [options.compare] Comparator function, otherwise elements are compared with `<` and `>`.
+     * @param {boolean} [options.distinct=false] Whether to treat the iterators as sets instead of multisets.
+     * @returns {AsyncSortedSetIterator} The iterator.
+     */
+    union(iter, { compare = defaultCompare, distinct = false } = {}) {
+        return new AsyncSortedSetIterator(this, AsyncLazyIterator.from(iter), compare, distinct, { left: true, right: true, both: true });
+    }
+
+    /**
+     * Returns an iterator over the elements in both this iterator and another iterator, both sorted.
+     * @param {AsyncIterator|AsyncIterable|Iterator|Iterable} iter Iterator or iterable.
+     * @param {Object} [options] Options for the comparison.
+     * @param {AsyncComparator} [options.compare] Comparator function, otherwise elements are compared with `<` and `>`.
+     * @param {boolean} [options.distinct=false] Whether to treat the iterators as sets instead of multisets.
+     * @returns {AsyncSortedSetIterator} The iterator.
+     */
+    intersect(iter, { compare = defaultCompare, distinct = false } = {}) {
+        return new AsyncSortedSetIterator(this, AsyncLazyIterator.from(iter), compare, distinct, { left: false, right: false, both: true });
+    }
+
+    /**
+     * Returns an iterator over the elements in this iterator but not in another iterator, both sorted.
+     * @param {AsyncIterator|AsyncIterable|Iterator|Iterable} iter Iterator or iterable.
+     * @param {Object} [options] Options for the comparison.
+     * @param {AsyncComparator} [options.compare] Comparator function, otherwise elements are compared with `<` and `>`.
+     * @param {boolean} [options.distinct=false] Whether to treat the iterators as sets instead of multisets.
+     * @returns {AsyncSortedSetIterator} The iterator.
+     */
+    difference(iter, { compare = defaultCompare, distinct = false } = {}) {
+        return new AsyncSortedSetIterator(this, AsyncLazyIterator.from(iter), compare, distinct, { left: true, right: false, both: false });
+    }
+
+    /**
+     * Returns an iterator over the elements in only one of this iterator and another iterator, both sorted.
+     * @param {AsyncIterator|AsyncIterable|Iterator|Iterable} iter Iterator or iterable.
+     * @param {Object} [options] Options for the comparison.
+     * @param {AsyncComparator} [options.compare] Comparator function, otherwise elements are compared with `<` and `>`.
+     * @param {boolean} [options.distinct=false] Whether to treat the iterators as sets instead of multisets.
+     * @returns {AsyncSortedSetIterator} The iterator.
+     */
+    symmetricDifference(iter, { compare = defaultCompare, distinct = false } = {}) {
+        return new AsyncSortedSetIterator(this, AsyncLazyIterator.from(iter), compare, distinct, { left: true, right: true, both: false });
+    }
+
+    /**
+     * Returns an iterator over the elements in either this iterator or another finite iterator.
+     * @param {AsyncIterator|AsyncIterable|Iterator|Iterable} iter Iterator or iterable.
+     * @param {Object} [options] Options for the comparison.
+     * @param {boolean} [options.distinct=false] Whether to treat the iterators as sets instead of multisets.
+     * @returns {AsyncHashSetIterator} The iterator.
+     */
+    hashUnion(iter, { distinct = false } = {}) {
+        return new AsyncHashSetIterator(this, AsyncLazyIterator.from(iter), distinct, { left: true, right: true, both: true });
+    }
+
+    /**
+     * Returns an iterator over the elements in both this iterator and another finite iterator.
+     * @param {AsyncIterator|AsyncIterable|Iterator|Iterable} iter Iterator or iterable.
+     * @param {Object} [options] Options for the comparison.
+     * @param {boolean} [options.distinct=false] Whether to treat the iterators as sets instead of multisets.
+     * @returns {AsyncHashSetIterator} The iterator.
+     */
+    hashIntersect(iter, { distinct = false } = {}) {
+        return new AsyncHashSetIterator(this, AsyncLazyIterator.from(iter), distinct, { left: false, right: false, both: true });
+    }
+
+    /**
+     * Returns an iterator over the elements in this iterator but not in another finite iterator.
+     * @param {AsyncIterator|AsyncIterable|Iterator|Iterable} iter Iterator or iterable.
+     * @param {Object} [options] Options for the comparison.
+     * @param {boolean} [options.distinct=false] Whether to treat the iterators as sets instead of multisets.
+     * @returns {AsyncHashSetIterator} The iterator.
+     */
+    hashDifference(iter, { distinct = false } = {}) {
+        return new AsyncHashSetIterator(this, AsyncLazyIterator.from(iter), distinct, { left: true, right: false, both: false });
+    }
+
+    /**
+     * Returns an iterator over the elements in only one of this iterator and another finite iterator.
+     * @param {AsyncIterator|AsyncIterable|Iterator|Iterable} iter Iterator or iterable.
+     * @param {Object} [options] Options for the comparison.
+     * @param {boolean} [options.distinct=false] Whether to treat the iterators as sets instead of multisets.
+     * @returns {AsyncHashSetIterator} The iterator.
+     */
+    hashSymmetricDifference(iter, { distinct = false } = {}) {
+        return new AsyncHashSetIterator(this, AsyncLazyIterator.from(iter), distinct, { left: true, right: true, both: false });
+    }
+
+    /**
+     * Returns an iterator over every ordering of `k` elements of this iterator, as arrays.
+     * Orderings are yielded in lexicographic order of the positions of their elements.
+     * Elements are only read when needed, so an endless iterator can be used when `k` is given.
+     * @param {number} [k] Amount of elements in an ordering, defaults to all of them.
+     * @returns {AsyncPermutationsIterator} The iterator.
+     */
+    permutations(k) {
+        if (k !== undefined) {
+            checkSubsetSize(k);
+        }
+
+        return new AsyncPermutationsIterator(this, k);
+    }
+
+    /**
+     * Returns an iterator over every choice of `k` elements of this iterator, as arrays in the order of the elements.
+     * Choices are yielded in lexicographic order of the positions of their elements.
+     * Elements are only read when needed, so an endless iterator can be used.
+     * @param {number} k Amount of elements in a choice.
+     * @returns {AsyncCombinationsIterator} The iterator.
+     */
+    combinations(k) {
+        checkSubsetSize(k);
+        return new AsyncCombinationsIterator(this, k, false);
+    }
+
+    /**
+     * Returns an iterator over every choice of `k` elements of this iterator where elements can be chosen more than once.
+     * Choices are yielded in lexicographic order of the positions of their elements.
+     * Elements are only read when needed, so an endless iterator can be used.
+     * @param {number} k Amount of elements in a choice.
+     * @returns {AsyncCombinationsIterator} The iterator.
+     */
+    combinationsWithReplacement(k) {
+        checkSubsetSize(k);
+        return new AsyncCombinationsIterator(this, k, true);
+    }
+
+    /**
+     * Returns an iterator over every subset of the elements of this iterator, as arrays in the order of the elements.
+     * The subsets of the first n elements all come before any subset with the element after them.
+     * That way, an endless iterator can be used, and every subset is eventually reached.
+     * @returns {AsyncPowersetIterator} The iterator.
+     */
+    powerset() {
+        return new AsyncPowersetIterator(this);
+    }
+
+    /**
+     * Returns an iterator over the elements in sorted order.
+     * Nothing is sorted until the iterator is first advanced, at which point every element is read into a heap.
+     * Elements are then taken off the heap one at a time, so taking only the first few does not sort everything.
+     * The sort is stable, so equal elements stay in the order they came.
+     * @param {Comparator} [compare] Comparator function, otherwise elements are compared with `<` and `>`.
+     * @returns {AsyncSortedIterator} The iterator.
+     */
+    sorted(compare = defaultCompare) {
+        return new AsyncSortedIterator(this, compare);
+    }
+
+    /**
+     * Returns an iterator that repeats this iterator forever.
+     * @returns {AsyncCycleIterator} The iterator.
+     */
+    cycle() {
+        return new AsyncCycleIterator(this);
+    }
+
+    /**
+     * Returns an iterator that maps each element with a function.
+     * @param {AsyncMapping} fn Mapping function.
+     * @returns {AsyncMapIterator} The iterator.
+     */
+    map(fn) {
+        return new AsyncMapIterator(this, wrapCallback('map', this, withIndex(fn)));
+    }
+
+    /**
+     * Returns an iterator that maps each element with a function, running several mappings at once.
+     * Up to the given amount of mappings will be pending at the same time.
+     * Results are yielded in the order of the elements, or in the order that the mappings finish.
+     * When ordered, finished results waiting on an earlier mapping count towards the limit.
+     * @param {AsyncMapping} fn Mapping function.
+     * @param {Object} options Options for the mapping.
+     * @param {number} options.concurrency Maximum amount of pending mappings.
+     * @param {boolean} [options.ordered=true] Whether to yield results in the order of the elements.
+     * @returns {AsyncMapConcurrentIterator} The iterator.
+     */
+    mapConcurrent(fn, { concurrency, ordered = true } = {}) {
+        if (!(concurrency >= 1)) {
+            throw new RangeError('Concurrency must be a number greater than or equal to 1');
+        }
+
+        return new AsyncMapConcurrentIterator(this, wrapCallback('mapConcurrent', this, withIndex(fn)), concurrency, ordered);
+    }
+
+    /**
+     * Returns an iterator that filters out certain elements.
+     * @param {AsyncPredicate} fn Predicate function.
+     * @returns {AsyncFilterIterator} The iterator.
+     */
+    filter(fn) {
+        return new AsyncFilterIterator(this, wrapCallback('filter', this, withIndex(fn)));
+    }
+
+    /**
+     * Returns an iterator that filters out elements that were already seen.
+     * Elements are compared with SameValueZero, like a Set.
+     * @param {Object} [options] Options for remembering elements.
+     * @param {number} [options.limit=Infinity] Amount of elements to remember, forgetting the least recently seen first.
+     * @returns {AsyncUniqueIterator} The iterator.
+     */
+    unique(options) {
+        return this.uniqueBy(x => x, options);
+    }
+
+    /**
+     * Returns an iterator that filters out elements whose key was already seen.
+     * Keys are compared with SameValueZero, like a Set.
+     * A limit can be given so that endless iterators do not remember every key.
+     * @param {AsyncMapping} fn Function returning the key of an element.
+     * @param {Object} [options] Options for remembering keys.
+     * @param {number} [options.limit=Infinity] Amount of keys to remember, forgetting the least recently seen first.
+     * @returns {AsyncUniqueIterator} The iterator.
+     */
+    uniqueBy(fn, { limit = Infinity } = {}) {
+        if (!(limit >= 1)) {
+            throw new RangeError('Limit must be a number greater than or equal to 1');
+        }
+
+        return new AsyncUniqueIterator(this, wrapCallback('uniqueBy', this, fn), limit);
+    }
+
+    /**
+     * Returns an iterator that filters out elements equal to the element before them.
+     * @param {AsyncEquality} [eq] Equality function.
+     * @returns {AsyncDedupAdjacentIterator} The iterator.
+     */
+    dedupAdjacent(eq = (a, b) => sameValueZero(a, b)) {
+        return new AsyncDedupAdjacentIterator(this, eq);
+    }
+
+    /**
+     * Returns an iterator that holds internal state.
+     * Each element of the iterator is the state at that iteration.
+     * This can be thought of as a reduce.
+     * @param {AsyncReducer} fn Reducer function.
+     * @param {any} [accum] Accumulator.
+     * @returns {AsyncScanIterator} The iterator.
+     */
+    scan(fn, accum) {
+        return new AsyncScanIterator(this, wrapCallback('scan', this, fn, args => args[1]), accum);
+    }
+
+    /**
+     * Returns an iterator where each iterator is zipped with each other.
+     * Each element is a tuple of zipped elements e.g. (a, b, c) if given two iterators.
+     * The iterators are advanced concurrently.
+     * @param {Array<AsyncIterator|AsyncIterable|Iterator|Iterable>} iters Iterators or iterables.
+     * @returns {AsyncZipIterator} The iterator.
+     */
+    zip(...iters) {
+        return new AsyncZipIterator(this, iters.map(iter => AsyncLazyIterator.from(iter)));
+    }
+
+    /**
+     * Returns an iterator where each iterator is zipped with each other, until all of them are done.
+     * Iterators that are done are padded with a fill value.
+     * Options may be given after the iterators.
+     * The iterators are advanced concurrently.
+     * @param {Array<AsyncIterator|AsyncIterable|Iterator|Iterable>} iters Iterators or iterables.
+     * @param {Object} [options] Options for the padding.
+     * @param {any} [options.fill] Value to pad with.
+     * @param {Array<any>} [options.defaults] Values to pad with per position, used instead of the fill value.
+     * @returns {AsyncZipLongestIterator} The iterator.
+     */
+    zipLongest(...iters) {
+        const [zipIters, { fill, defaults = [] }] = splitOptions(iters);
+        const fills = [this, ...zipIters].map((_, i) => i in defaults ? defaults[i] : fill);
+        return new AsyncZipLongestIterator(this, zipIters.map(iter => AsyncLazyIterator.from(iter)), fills);
+    }
+
+    /**
+     * Returns an iterator where each iterator is zipped with each other, combining the elements with a function.
+     * The function is given one element from each iterator, so no tuples are made.
+     * The iterators are advanced concurrently.
+     * @param {Function} fn Function taking an element from each iterator, may return a promise.
+     * @param {Array<AsyncIterator|AsyncIterable|Iterator|Iterable>} iters Iterators or iterables.
+     * @returns {AsyncZipWithIterator} The iterator.
+     */
+    zipWith(fn, ...iters) {
+        return new AsyncZipWithIterator(this, wrapCallback('zipWith', this, fn, args => args), iters.map(iter => AsyncLazyIterator.from(iter)));
+    }
+
+    /**
+     * Returns an iterator that flattens iterators and iterables inside this interator.
+     * Both synchronous and asynchronous iterators and iterables are flattened.
+     * @param {number} [depth=1] The amount of depth to flatten.
+     * @returns {AsyncFlatIterator} The iterator.
+     */
+    flat(depth = 1) {
+        return new AsyncFlatIterator(this, depth);
+    }
+
+    /**
+     * Returns an iterator that flattens iterators and iterables from a mapping.
+     * @param {AsyncMapping} fn Mapping function.
+     * @returns {AsyncFlatMapIterator} The iterator.
+     */
+    flatMap(fn) {
+        return new AsyncFlatMapIterator(this, wrapCallback('flatMap', this, withIndex(fn)));
+    }
+
+    /**
+     * Returns an iterator where between every element is the given value.
+     * @param {any} val Value to join with.
+     * @returns {AsyncJoinIterator} The iterator.
+     */
+    join(val) {
+        return new AsyncJoinIterator(this, val);
+    }
+
+    /**
+     * Returns an iterator where between every element are the values of the given iterator.
+     * The joining iterator will be consumed and cycled through.
+     * @param {AsyncIterator|AsyncIterable|Iterator|Iterable} iter Iterator to intercalate.
+     * @returns {AsyncJoinWithIterator} The iterator.
+     */
+    joinWith(iter) {
+        return new AsyncJoinWithIterator(this, AsyncLazyIterator.from(iter));
+    }
+
+    /**
+     * Returns an iterator that calls a function on each element.
+     * @param {AsyncConsumer} fn Consumer function.
+     * @returns {AsyncEachIterator} The iterator.
+     */
+    each(fn) {
+        return new AsyncEachIterator(this, wrapCallback('each', this, withIndex(fn)));
+    }
+
+    /**
+     * Returns an iterator that handles errors thrown while pulling an element, such as by a callback of an earlier adaptor.
+     * The handler returns an iterator or iterable whose values are yielded in place of the failing element,
+     * so an empty array skips it, and throwing from the handler passes the error on.
+     * Iteration goes on after the failing element if the earlier iterator can go on, which adaptors can but generators cannot.
+     * @param {AsyncErrorHandler} handler Function that handles an error.
+     * @returns {AsyncCatchErrorIterator} The iterator.
+     */
+    catchError(handler) {
+        return new AsyncCatchErrorIterator(this, handler);
+    }
+
+    /**
+     * Returns an iterator that maps each element with a function, recording whether it succeeded.
+     * Each element becomes `{ ok: true, value }` with the mapped value, or `{ ok: false, error }` with the thrown error or rejection.
+     * @param {AsyncMapping} fn Mapping function.
+     * @returns {AsyncMapIterator} The iterator.
+     */
+    mapSettled(fn) {
+        return new AsyncMapIterator(this, async value => {
+            try {
+                return { ok: true, value: await fn(value) };
+            } catch (error) {
+                return { ok: false, error };
+            }
+        });
+    }
+
+    /**
+     * Returns an iterator that maps each element with a function, calling it again when it throws or rejects.
+     * If every attempt fails, the error from the last attempt is thrown.
+     * @param {AsyncMapping} fn Mapping function.
+     * @param {Object} [options] Options for retrying.
+     * @param {number} [options.attempts=3] Most times to call the function for an element.
+     * @returns {AsyncMapIterator} The iterator.
+     */
+    retry(fn, { attempts = 3 } = {}) {
+        checkAttempts(attempts);
+        return new AsyncMapIterator(this, wrapCallback('retry', this, async value => {
+            for (let i = 1; ; i++) {
+                try {
+                    // eslint-disable-next-line no-await-in-loop
+                    return await fn(value);
+                } catch (err) {
+                    if (i >= attempts) {
+                        throw err;
+                    }
+                }
+            }
+        }));
+    }
+
+    /**
+     * Returns an iterator that logs every pull through it, with what was yielded or thrown and how long it took.
+     * By default, the log is written to stderr.
+     * @param {string} [label='trace'] Label to put before each line.
+     * @param {Object} [options] Options for the log.
+     * @param {Function} [options.log] Function that is given each line.
+     * @returns {AsyncTraceIterator} The iterator.
+     */
+    trace(label = 'trace', { log } = {}) {
+        return new AsyncTraceIterator(this, label, log);
+    }
+
+    /**
+     * Returns a snapshot of the counts of every stage in the chain that was made while measuring, from the source up.
+     * Each stage has the amount of elements it pulled and emitted, how many it dropped and at what rate,
+     * and the milliseconds spent in its callback.
+     * This does not consume the iterator.
+     * @returns {Object[]} The metrics of each stage.
+     */
+    metrics() {
+        return chainMetrics(this, AsyncLazyIterator);
+    }
+
+    /**
+     * Calls a function on each element.
+     * This consumes the iterator.
+     * @param {AsyncConsumer} fn Consumer function.
+     * @returns {Promise<void>} Nothing.
+     */
+    async forEach(fn) {
+        const call = withIndex(fn);
+        for await (const value of this) {
+            await call(value);
+        }
+    }
+
+    /**
+     * Reduces each element into one single result.
+     * Also known as fold, inject, etc.
+     * This consumes the iterator.
+     * @param {AsyncReducer} fn Reducer function.
+     * @param {any} [accum] The accumulator.
+     * Defaults to the first element in the iterator.
+     * @returns {Promise<any>} The accumulator.
+     */
+    async reduce(fn, accum) {
+        if (accum === undefined) {
+            const first = await this.next();
+            if (first.done) {
+                throw new TypeError('Reduce of empty sequence with no initial value');
+            }
+
+            accum = first.value;
+        }
+
+        for await (const value of this) {
+            accum = await fn(accum, value);
+        }
+
+        return accum;
+    }
+
+    /**
+     * Takes the conjunction (logical AND) of every element.
+     * An empty iterator will return true.
+     * This consumes the iterator.
+     * @returns {Promise<any>}
+     */
+    and() {
+        return this.reduce((a, b) => a && b, true);
+    }
+
+    /**
+     * Takes the disjunction (logical OR) of every element.
+     * An empty iterator will return false.
+     * This consumes the iterator.
+     * @returns {Promise<any>}
+     */
+    or() {
+        return this.reduce((a, b) => a || b, false);
+    }
+
+    /**
+     * Sums or concatenates the elements in the iterator.
+     * BigInts are summed as BigInts.
+     * Numbers can be summed with compensated summation instead, which keeps track of the rounding error of each addition.
+     * This is slower, but much more accurate when adding many numbers of different magnitudes.
+     * This consumes the iterator.
+     * @param {Object} [options] Options for the sum.
+     * @param {boolean} [options.compensated=false] Whether to use compensated (Kahan-Babuška-Neumaier) summation.
+     * @returns {Promise<number|bigint|string>} The sum or string.
+     */
+    async sum({ compensated = false } = {}) {
+        const first = await this.next();
+        if (first.done) {
+            return 0;
+        }
+
+        // The sum starts at zero, but BigInts cannot be added to it, so a sum of BigInts starts at its first element instead.
+        const start = isBigInt(first.value)
+            ? first.value
+            : 0 + first.value;
+
+        if (!compensated || typeof start !== 'number') {
+            return this.reduce((a, b) => a + b, start);
+        }
+
+        const sum = new CompensatedSum();
+        sum.push(start);
+        for await (const value of this) {
+            sum.push(value);
+        }
+
+        return sum.value;
+    }
+
+    /**
+     * Takes the product of the elements in the iterator.
+     * This consumes the iterator.
+     * @returns {Promise<number>} The product.
+     */
+    product() {
+        return this.reduce((a, b) => a * b, 1);
+    }
+
+    /**
+     * Takes the mean of the elements in the iterator.
+     * An empty iterator will return undefined.
+     * This consumes the iterator.
+     * @returns {Promise<number>} The mean.
+     */
+    async mean() {
+        const variance = new RunningVariance();
+        for await (const value of this) {
+            variance.push(value);
+        }
+
+        return variance.count
+            ? variance.mean
+            : undefined;
+    }
+
+    /**
+     * Takes the variance of the elements in the iterator, in one pass with Welford's algorithm.
+     * This is the population variance, unless the sample variance is asked for.
+     * Returns undefined if there are not enough elements.
+     * This consumes the iterator.
+     * @param {Object} [options] Options for the variance.
+     * @param {boolean} [options.sample=false] Whether to take the sample variance, dividing by one less than the amount of elements.
+     * @returns {Promise<number>} The variance.
+     */
+    async variance({ sample = false } = {}) {
+        const variance = new RunningVariance();
+        for await (const value of this) {
+            variance.push(value);
+        }
+
+        return variance.variance(sample);
+    }
+
+    /**
+     * Takes the standard deviation of the elements in the iterator, in one pass with Welford's algorithm.
+     * This is the population standard deviation, unless the sample standard deviation is asked for.
+     * Returns undefined if there are not enough elements.
+     * This consumes the iterator.
+     * @param {Object} [options] Options for the standard deviation.
+     * @param {boolean} [options.sample=false] Whether to use the sample variance, dividing by one less than the amount of elements.
+     * @returns {Promise<number>} The standard deviation.
+     */
+    async stddev(options) {
+        const variance = await this.variance(options);
+        return variance === undefined
+            ? undefined
+            : Math.sqrt(variance);
+    }
+
+    /**
+     * Takes the median of the elements in the iterator.
+     * See `quantiles` for the options.
+     * This consumes the iterator.
+     * @param {Object} [options] Options for the median.
+     * @param {boolean} [options.approximate=false] Whether to estimate the median without holding every element.
+     * @returns {Promise<number>} The median.
+     */
+    async median(options) {
+        const [median] = await this.quantiles([0.5], options);
+        return median;
+    }
+
+    /**
+     * Takes quantiles of the elements in the iterator, such as 0.5 for the median or 0.99 for the 99th percentile.
+     * Exact quantiles hold every element, and interpolate between the two closest ones.
+     * Approximate quantiles are estimated with the P² algorithm instead, which only holds five elements per quantile.
+     * An empty iterator will give undefined quantiles.
+     * This consumes the iterator.
+     * @param {number[]} ps Quantiles to take, between 0 and 1.
+     * @param {Object} [options] Options for the quantiles.
+     * @param {boolean} [options.approximate=false] Whether to estimate the quantiles without holding every element.
+     * @returns {Promise<number[]>} The quantiles.
+     */
+    async quantiles(ps, { approximate = false } = {}) {
+        checkProbabilities(ps);
+        if (!approximate) {
+            return exactQuantiles(await this.collect(), ps);
+        }
+
+        const sketches = ps.map(p => new QuantileSketch(p));
+        for await (const value of this) {
+            for (const sketch of sketches) {
+                sketch.push(value);
+            }
+        }
+
+        return sketches.map(sketch => sketch.count
+            ? sketch.value
+            : undefined);
+    }
+
+    /**
+     * Finds the elements that are considered the minimum and the maximum, in one pass.
+     * A mapping can be passed to compare by an associated value.
+     * An empty iterator will return undefined for both.
+     * This consumes the iterator.
+     * @param {AsyncMapping} [fn] Mapping function.
+     * @returns {Promise<[any, any]>} The minimum and the maximum.
+     */
+    async minMax(fn = x => x) {
+        const first = await this.next();
+        if (first.done) {
+            return [undefined, undefined];
+        }
+
+        let min = first.value;
+        let max = first.value;
+        let minKey = await fn(first.value);
+        let maxKey = minKey;
+        for await (const value of this) {
+            const key = await fn(value);
+            if (key < minKey) {
+                min = value;
+                minKey = key;
+            }
+
+            if (key > maxKey) {
+                max = value;
+                maxKey = key;
+            }
+        }
+
+        return [min, max];
+    }
+
+    /**
+     * Finds a value in the iterator that passes the predicate.
+     * This consumes the iterator until the found value.
+     * @param {AsyncPredicate} fn Predicate function.
+     * @returns {Promise<any>} The found value.
+     */
+    async find(fn) {
+        const call = withIndex(fn);
+        for await (const value of this) {
+            if (await call(value)) {
+                return value;
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Finds the index of the value in the iterator that passes the predicate.
+     * This consumes the iterator until the found value.
+     * @param {AsyncPredicate} fn Predicate function.
+     * @returns {Promise<number>} The found index.
+     */
+    async findIndex(fn) {
+        let i = 0;
+        for await (const value of this) {
+            if (await fn(value, i)) {
+                return i;
+            }
+
+            i++;
+        }
+
+        return -1;
+    }
+
+    /**
+     * Checks if a value is in the iterator.
+     * This consumes the iterator until the found value.
+     * @param {any} searchElement Value to look for inclusion.
+     * @param {number} [from=0] Index to search from.
+     * @returns {Promise<boolean>} Whether the value was found.
+     */
+    async includes(searchElement, from = 0) {
+        let i = 0;
+        for await (const value of this) {
+            if (i < from) {
+                i++;
+                continue;
+            }
+
+            if (sameValueZero(searchElement, value)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Checks that every element in the iterator passes the predicate.
+     * This consumes the iterator until a value that does not pass the predicate.
+     * @param {AsyncPredicate} fn Predicate function.
+     * @returns {Promise<boolean>} Whether all elements passed or not.
+     */
+    async every(fn) {
+        const call = withIndex(fn);
+        for await (const value of this) {
+            if (!await call(value)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Checks that one element in the iterator passes the predicate.
+     * This consumes the iterator until a value passes the predicate.
+     * @param {AsyncPredicate} fn Predicate function.
+     * @returns {Promise<boolean>} Whether one element passed or not.
+     */
+    async some(fn) {
+        const call = withIndex(fn);
+        for await (const value of this) {
+            if (await call(value)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Finds the element that is considered the maximum.
+     * A mapping can be passed to compare by an associated value.
+     * This consumes the iterator.
+     * @param {AsyncMapping} [fn] Mapping function.
+     * @returns {Promise<any>} The maximum.
+     */
+    async max(fn = x => x) {
+        const first = await this.next();
+        if (first.done) {
+            return undefined;
+        }
+
+        let max = first.value;
+        let maxKey = await fn(max);
+        for await (const value of this) {
+            const key = await fn(value);
+            if (key > maxKey) {
+                max = value;
+                maxKey = key;
+            }
+        }
+
+        return max;
+    }
+
+    /**
+     * Finds the element that is considered the minimum.
+     * A mapping can be passed to compare by an associated value.
+     * This consumes the iterator.
+     * @param {AsyncMapping} [fn] Mapping function.
+     * @returns {Promise<any>} The minimum.
+     */
+    async min(fn = x => x) {
+        const first = await this.next();
+        if (first.done) {
+            return undefined;
+        }
+
+        let min = first.value;
+        let minKey = await fn(min);
+        for await (const value of this) {
+            const key = await fn(value);
+            if (key < minKey) {
+                min = value;
+                minKey = key;
+            }
+        }
+
+        return min;
+    }
+
+    /**
+     * Finds the element that is considered the maximum by some comparison.
+     * This consumes the iterator.
+     * @param {AsyncComparator} fn Comparator function.
+     * @returns {Promise<any>} The maximum.
+     */
+    async maxBy(fn) {
+        const first = await this.next();
+        if (first.done) {
+            return undefined;
+        }
+
+        let max = first.value;
+        for await (const value of this) {
+            if (await fn(value, max) > 0) {
+                max = value;
+            }
+        }
+
+        return max;
+    }
+
+    /**
+     * Finds the element that is considered the minimum by some comparison.
+     * This consumes the iterator.
+     * @param {AsyncComparator} fn Comparator function.
+     * @returns {Promise<any>} The minimum.
+     */
+    async minBy(fn) {
+        const first = await this.next();
+        if (first.done) {
+            return undefined;
+        }
+
+        let min = first.value;
+        for await (const value of this) {
+            if (await fn(value, min) < 0) {
+                min = value;
+            }
+        }
+
+        return min;
+    }
+
+    /**
+     * Finds the greatest elements, from greatest to least.
+     * Only the given amount of elements are held at a time, in a heap.
+     * Equal elements are kept and ordered as they came.
+     * This consumes the iterator.
+     * @param {number} k Amount of elements to find.
+     * @param {Comparator} [compare] Comparator function, otherwise elements are compared with `<` and `>`.
+     * @returns {Promise<any[]>} The greatest elements.
+     */
+    async topK(k, compare = defaultCompare) {
+        if (!Number.isInteger(k) || k < 0) {
+            throw new RangeError('Amount must be an integer greater than or equal to 0');
+        }
+
+        // The heap has the least element on top, with later elements less than earlier equal ones.
+        const compareEntries = (a, b) => compare(a.value, b.value) || b.index - a.index;
+        const heap = new Heap(compareEntries);
+        if (k > 0) {
+            let index = 0;
+            for await (const value of this) {
+                const entry = { value, index: index++ };
+                if (heap.size < k) {
+                    heap.push(entry);
+                } else if (compareEntries(entry, heap.peek()) > 0) {
+                    heap.replaceTop(entry);
+                }
+            }
+        }
+
+        const top = new Array(heap.size);
+        for (let i = top.length - 1; i >= 0; i--) {
+            top[i] = heap.pop().value;
+        }
+
+        return top;
+    }
+
+    /**
+     * Finds the least elements, from least to greatest.
+     * Only the given amount of elements are held at a time, in a heap.
+     * Equal elements are kept and ordered as they came.
+     * This consumes the iterator.
+     * @param {number} k Amount of elements to find.
+     * @param {Comparator} [compare] Comparator function, otherwise elements are compared with `<` and `>`.
+     * @returns {Promise<any[]>} The least elements.
+     */
+    bottomK(k, compare = defaultCompare) {
+        return this.topK(k, (a, b) => compare(b, a));
+    }
+
+    /**
+     * Collects the iterator into an array sorted by a key of each element.
+     * The sort is stable, so elements with equal keys stay in the order they came.
+     * This consumes the iterator.
+     * @param {AsyncMapping} fn Function returning the key of an element.
+     * @param {Comparator} [compare] Comparator function for keys, otherwise keys are compared with `<` and `>`.
+     * @returns {Promise<any[]>} The sorted array.
+     */
+    async sortedBy(fn, compare = defaultCompare) {
+        const entries = [];
+        for await (const value of this) {
+            entries.push({ key: await fn(value), value, index: entries.length });
+        }
+
+        entries.sort((a, b) => compare(a.key, b.key) || a.index - b.index);
+        return entries.map(entry => entry.value);
+    }
+
+    /**
+     * Collects the iterator into a collection.
+     * Defaults to an array.
+     * This consumes the iterator.
+     * @param {CollectionConstructor} [cons] Constructs a collection.
+     * @param {CollectionExtender} [extend] Extends a collection.
+     * @returns {Promise<any>} The collection.
+     */
+    async collect(cons = consFunctions.Array, extend = extendFunctions.Array) {
+        let coll = cons();
+        for await (const value of this) {
+            coll = extend(coll, value);
+        }
+
+        return coll;
+    }
+
+    /**
+     * Partitions the iterator into a collection based on a predicate.
+     * Items passing the predicate goes in the first collection.
+     * Items not passing goes into the second collection.
+     * The kind of collection defaults to an array.
+     * This consumes the iterator.
+     * @param {AsyncPredicate} fn Predicate fuction.
+     * @param {CollectionConstructor} [cons] Constructs a collection.
+     * @param {CollectionExtender} [extend] Extends a collection.
+     * @returns {Promise<[any, any]>} The collections.
+     */
+    async partition(fn, cons = consFunctions.Array, extend = extendFunctions.Array) {
+        let left = cons();
+        let right = cons();
+        for await (const value of this) {
+            if (await fn(value)) {
+                left = extend(left, value);
+            } else {
+                right = extend(right, value);
+            }
+        }
+
+        return [left, right];
+    }
+
+    /**
+     * Unzips an iterator of tuples into collections.
+     * Each element in a tuple is added to the collection corresponding to their position.
+     * Can be thought of as the opposite of zip.
+     * The kind of collection defaults to an array.
+     * This consumes the iterator.
+     * @param {number} [size] Size of the tuples.
+     * Defaults to the length of the first element.
+     * @param {CollectionConstructor} [cons] Constructs a collection.
+     * @param {CollectionExtender} [extend] Extends a collection.
+     * @returns {Promise<any[]>} The collections.
+     */
+    async unzip(size, cons = consFunctions.Array, extend = extendFunctions.Array) {
+        const first = await this.next();
+        let length;
+        if (first.done) {
+            if (size === undefined) {
+                throw new TypeError('Unzip of empty sequence with no given size');
+            }
+
+            length = size;
+        } else {
+            length = size === undefined
+                ? first.value.length
+                : size;
+        }
+
+        const colls = Array.from({ length }, () => cons());
+        // eslint-disable-next-line no-await-in-loop
+        for (let item = first; !item.done; item = await this.next()) {
+            for (let i = 0; i < length; i++) {
+                colls[i] = extend(colls[i], item.value[i]);
+            }
+        }
+
+        return colls;
+    }
+
+    /**
+     * Groups consecutive elements that are equal into an array of collections.
+     * The kind of collection defaults to an array.
+     * This consumes the iterator.
+     * @param {AsyncEquality} [eq] Equality function.
+     * @param {CollectionConstructor} [cons] Constructs a collection.
+     * @param {CollectionExtender} [extend] Extends a collection.
+     * @returns {Promise<any[]>}
+     */
+    async group(eq = (a, b) => sameValueZero(a, b), cons = consFunctions.Array, extend = extendFunctions.Array) {
+        const arr = [];
+        const first = await this.next();
+        if (first.done) {
+            return arr;
+        }
+
+        let prev = first.value;
+        let accum = extend(cons(), first.value);
+        for await (const value of this) {
+            if (!await eq(prev, value)) {
+                arr.push(accum);
+                accum = cons();
+            }
+
+            accum = extend(accum, value);
+            prev = value;
+        }
+
+        arr.push(accum);
+        return arr;
+    }
+
+    /**
+     * Categorizes elements by some property.
+     * The resulting map associates categories with collections of values.
+     * The kind of collection defaults to an array.
+     * This consumes the iterator.
+     * @param {AsyncMapping} fn Mapping function.
+     * @param {CollectionConstructor} [cons] Constructs a collection.
+     * @param {CollectionExtender} [extend] Extends a collection.
+     * @returns {Promise<Map<any, any>>}
+     */
+    async categorize(fn, cons = consFunctions.Array, extend = extendFunctions.Array) {
+        const map = new Map();
+        for await (const value of this) {
+            const cat = await fn(value);
+            if (!map.has(cat)) {
+                map.set(cat, cons());
+            }
+
+            map.set(cat, extend(map.get(cat), value));
+        }
+
+        return map;
+    }
+
+    /**
+     * Clones the iterator.
+     * This consumes the current iterator and recreates it, so use `tee` for endless iterators.
+     * @returns {Promise<AsyncLazyIterator>} The cloned iterator.
+     */
+    async clone() {
+        const cache = await this.collectArray();
+        this.iterator = new AsyncFromSyncIterator(cache[Symbol.iterator]());
+        this.closed = false;
+        return AsyncLazyIterator.from(cache);
+    }
+
+    /**
+     * Clones the iterator multiples times.
+     * This consumes the current iterator and recreates it, so use `tee` for endless iterators.
+     * @param {number} amount Amount of times to clone.
+     * @returns {Promise<AsyncLazyIterator[]>} The cloned iterators.
+     */
+    async cloneMany(amount) {
+        const cache = await this.collectArray();
+        this.iterator = new AsyncFromSyncIterator(cache[Symbol.iterator]());
+        this.closed = false;
+        return Array.from({ length: amount }, () => AsyncLazyIterator.from(cache));
+    }
+
+    /**
+     * Splits the iterator into some amount of iterators that each yield all of its values.
+     * Values are pulled from this iterator as the furthest ahead of them needs them,
+     * and are only buffered until the furthest behind of them has passed them, so this works on endless iterators.
+     * When the buffer is full, the iterator furthest ahead can wait for the others to catch up instead of throwing,
+     * in which case the iterators have to be consumed concurrently.
+     * This iterator is closed once all of them are closed.
+     * @param {number} [amount=2] Amount of iterators to make.
+     * @param {Object} [options] Options for the buffer.
+     * @param {number} [options.maxBuffer=Infinity] Most values to buffer, past which pulling further ahead throws a RangeError.
+     * @param {boolean} [options.block=false] Whether to wait instead of throwing when the buffer is full.
+     * @returns {AsyncLazyIterator[]} The iterators.
+     */
+    tee(amount = 2, { maxBuffer = Infinity, block = false } = {}) {
+        if (!Number.isInteger(amount) || amount < 1) {
+            throw new RangeError('Tee amount must be an integer greater than or equal to 1');
+        }
+
+        const buffer = new AsyncTeeBuffer(this, amount, maxBuffer, block);
+        return Array.from({ length: amount }, (_, branch) => new AsyncLazyIterator(new AsyncTeeSource(buffer, branch)));
+    }
+
+    /**
+     * Caches the values of the iterator as they are pulled, in a sequence that can be iterated many times.
+     * This iterator is only pulled as far as the furthest iterator of the sequence has gone,
+     * and the others replay the values from the cache.
+     * Closing an iterator of the sequence early does not close this iterator, since the others may still read it.
+     * @returns {AsyncLazySeq} The sequence.
+     */
+    memoize() {
+        const cache = new AsyncMemoCache(this);
+        return new AsyncLazySeq(() => new AsyncLazyIterator(new AsyncMemoSource(cache)));
+    }
+
+    /**
+     * Checks if a value is an async iterable.
+     * @param {any} val Value to check.
+     * @returns {boolean} Whether the value is an async iterable.
+     */
+    static isAsyncIterable(val) {
+        return val != null && val[Symbol.asyncIterator] != null;
+    }
+
+    /**
+     * Creates an async lazy iterator from an iterator or iterable.
+     * Async iterables are preferred over sync iterables.
+     * Sync iterators are treated like `for await` treats them, awaiting each value.
+     * Iterators are assumed to be async if they are not also sync iterables.
+     * @param {AsyncIterator|AsyncIterable|Iterator|Iterable} iter Iterator or iterable.
+     * @returns {AsyncLazyIterator} The iterator.
+     */
+    static from(iter) {
+        if (AsyncLazyIterator.isAsyncIterable(iter)) {
+            return new AsyncLazyIterator(iter[Symbol.asyncIterator]());
+        }
+
+        if (iter != null && iter[Symbol.iterator] != null) {
+            return new AsyncLazyIterator(new AsyncFromSyncIterator(iter[Symbol.iterator]()));
+        }
+
+        if (iter != null && typeof iter.next === 'function') {
+            return new AsyncLazyIterator(iter);
+        }
+
+        throw new TypeError('Value given is not iterable or an iterator');
+    }
+
+    // Alias for above.
+    static for(iter) {
+        return AsyncLazyIterator.from(iter);
+    }
+
+    /**
+     * Creates a sequence that makes a new async lazy iterator from a function every time it is iterated.
+     * Its adaptors make new sequences, so a pipeline can be defined once and iterated many times.
+     * @param {Function} factory Function that returns an async or sync iterator or iterable.
+     * @returns {AsyncLazySeq} The sequence.
+     */
+    static seq(factory) {
+        if (typeof factory !== 'function') {
+            throw new TypeError('Sequence factory must be a function');
+        }
+
+        return new AsyncLazySeq(factory);
+    }
+
+    /**
+     * Creates an async lazy iterator for a sequence of items.
+     * Promises in the sequence are awaited.
+     * @param {any[]} items Items to yield.
+     * @returns {AsyncLazyIterator} The iterator.
+     */
+    static of(...items) {
+        return AsyncLazyIterator.from(items);
+    }
+
+    /**
+     * Creates an async lazy iterator that merges iterators, all of which are already sorted.
+     * Elements are yielded in sorted order, and equal elements in the order of the iterators they came from.
+     * @param {Iterable<AsyncIterator|AsyncIterable|Iterator|Iterable>} iters Iterators or iterables to merge.
+     * @param {Comparator} [compare] Comparator function, otherwise elements are compared with `<` and `>`.
+     * @returns {AsyncLazyIterator} The iterator.
+     */
+    static mergeSorted(iters, compare = defaultCompare) {
+        const [first = [], ...rest] = iters;
+        return AsyncLazyIterator.from(first).mergeSorted(...rest, compare);
+    }
+
+    /**
+     * Creates a lazy iterator over the cartesian product of iterators, as arrays with one element from each.
+     * Arrays are yielded in lexicographic order, so the last iterator changes the fastest.
+     * Only the first iterator is not buffered.
+     * When an iterator after the first is endless, this order would never move on, so the `diagonal` option should be given.
+     * The arrays are then yielded by the sum of the positions of their elements, which reaches every array eventually.
+     * Options may be given after the iterators to choose the order.
+     * @param {Array<AsyncIterator|AsyncIterable|Iterator|Iterable>} iters Iterators or iterables.
+     * @param {Object} [options] Options for the product.
+     * @param {boolean} [options.diagonal=false] Whether to use diagonal order, since async iterators cannot tell if they are endless.
+     * @returns {AsyncLazyIterator} The iterator.
+     */
+    static product(...iters) {
+        const [productIters, options] = splitOptions(iters);
+        if (!productIters.length) {
+            return AsyncLazyIterator.of([]);
+        }
+
+        const [first, ...rest] = productIters.map(iter => AsyncLazyIterator.from(iter));
+        const { diagonal = false } = options;
+        return new AsyncProductIterator(first, rest, diagonal);
+    }
+}
+
+defineCollectionMethods(AsyncLazyIterator);
+
+/**
+ * A re-iterable async sequence, as returned by `AsyncLazyIterator.seq`.
+ * Every loop over it, and every consumer called on it, starts from a new async lazy iterator made by its factory.
+ * It has the same adaptors as an async lazy iterator, which return a new sequence that applies the adaptor to each new iterator,
+ * and the same consumers, which consume a new iterator.
+ * Iterators given to its adaptors are still only iterated once, so give sequences or other iterables to reuse them.
+ */
+class AsyncLazySeq {
+    /**
+     * Makes a sequence from a function that makes its iterators.
+     * @param {Function} factory Function that returns an async or sync iterator or iterable.
+     */
+    constructor(factory) {
+        this.factory = factory;
+    }
+
+    [Symbol.asyncIterator]() {
+        return this.iter();
+    }
+
+    /**
+     * Makes a new async lazy iterator over the sequence.
+     * @returns {AsyncLazyIterator} The iterator.
+     */
+    iter() {
+        return AsyncLazyIterator.from(this.factory());
+    }
+}
+
+defineSeqMethods(AsyncLazySeq, AsyncLazyIterator, [
+    'stepBy', 'skip', 'take', 'skipWhile', 'takeWhile', 'chunk', 'windows', 'enumerate', 'concat', 'interleave',
+    'roundRobin', 'mergeSorted', 'union', 'intersect', 'difference', 'symmetricDifference', 'hashUnion',
+    'hashIntersect', 'hashDifference', 'hashSymmetricDifference', 'permutations', 'combinations',
+    'combinationsWithReplacement', 'powerset', 'sorted', 'cycle', 'map', 'mapConcurrent', 'filter', 'unique',
+    'uniqueBy', 'dedupAdjacent', 'scan', 'zip', 'zipLongest', 'zipWith', 'flat', 'flatMap', 'join', 'joinWith',
+    'each', 'catchError', 'mapSettled', 'retry', 'trace'
+]);
+
+// Traces or measures an async iterator made while debugging or measuring.
+const instrumentIterator = iter => {
+    if (debugging.enabled) {
+        iter.next = traceNext(() => stageName(iter, AsyncLazyIterator), iter.next.bind(iter), debugging.log);
+    }
+
+    if (measuring.enabled) {
+        measureIterator(iter, AsyncLazyIterator);
+    }
+};
+
+// Gives a callback the index of each element too, counting from the first call.
+// Callbacks that only take the element are used as they are.
+const withIndex = fn => {
+    if (!takesIndex(fn)) {
+        return fn;
+    }
+
+    let index = 0;
+    return value => fn(value, index++);
+};
+
+// The position of an adaptor made from an iterator, counting the iterators below it.
+const chainPosition = iter => {
+    let position = 0;
+    for (let link = iter; link instanceof AsyncLazyIterator; link = link.iterator) {
+        position++;
+    }
+
+    return position;
+};
+
+// Wraps a callback given to an adaptor made from an iterator, if stage errors are enabled or callbacks are being timed.
+const wrapCallback = (stage, iter, fn, pick) => {
+    const wrapped = stageErrors.enabled
+        ? stageCallback(stage, chainPosition(iter), fn, pick)
+        : fn;
+
+    return measuring.enabled
+        ? timeCallback(wrapped)
+        : wrapped;
+};
+
+const closeIterator = async iter => {
+    if (iter != null && typeof iter.return === 'function') {
+        await iter.return();
+    }
+};
+
+const isFlattenable = val => val != null
+    && (val[Symbol.asyncIterator] != null || val[Symbol.iterator] != null || typeof val.next === 'function');
+
+class AsyncFromSyncIterator {
+    constructor(iterator) {
+        this.iterator = iterator;
+    }
+
+    next() {
+        const item = this.iterator.next();
+        if (item.done) {
+            return Promise.resolve({ done: true });
+        }
+
+        return Promise.resolve(item.value).then(value => ({ done: false, value }));
+    }
+
+    return() {
+        if (typeof this.iterator.return === 'function') {
+            this.iterator.return();
+        }
+
+        return Promise.resolve({ done: true });
+    }
+}
+
+class AsyncStepIterator extends AsyncLazyIterator {
+    constructor(iterator, stepSize) {
+        super(iterator);
+        this.stepSize = stepSize;
+    }
+
+    async next() {
+        const item = await this.iterator.next();
+        for (let i = 0; i < this.stepSize - 1; i++) {
+            // eslint-disable-next-line no-await-in-loop
+            await this.iterator.next();
+        }
+
+        return item;
+    }
+}
+
+class AsyncSkipIterator extends AsyncLazyIterator {
+    constructor(iterator, skipAmount) {
+        super(iterator);
+        this.skipAmount = skipAmount;
+    }
+
+    async next() {
+        while (this.skipAmount > 0) {
+            this.skipAmount--;
+            // eslint-disable-next-line no-await-in-loop
+            await this.iterator.next();
+        }
+
+        return this.iterator.next();
+    }
+}
+
+class AsyncTakeIterator extends AsyncLazyIterator {
+    constructor(iterator, takeAmount) {
+        super(iterator);
+        this.takeAmount = Math.max(Math.ceil(takeAmount), 0);
+    }
+
+    next() {
+        if (this.takeAmount !== 0) {
+            this.takeAmount--;
+            return this.iterator.next();
+        }
+
+        return this.return();
+    }
+}
+
+class AsyncSkipWhileIterator extends AsyncLazyIterator {
+    constructor(iterator, fn) {
+        super(iterator);
+        this.fn = fn;
+        this.finishedSkipping = false;
+    }
+
+    async next() {
+        while (!this.finishedSkipping) {
+            // eslint-disable-next-line no-await-in-loop
+            const item = await this.iterator.next();
+            if (item.done) {
+                return { done: true };
+            }
+
+            // eslint-disable-next-line no-await-in-loop
+            if (!await this.fn(item.value)) {
+                this.finishedSkipping = true;
+                return { done: false, value: item.value };
+            }
+        }
+
+        return this.iterator.next();
+    }
+}
+
+class AsyncTakeWhileIterator extends AsyncLazyIterator {
+    constructor(iterator, fn) {
+        super(iterator);
+        this.fn = fn;
+        this.finishedTaking = false;
+    }
+
+    async next() {
+        if (!this.finishedTaking) {
+            const item = await this.iterator.next();
+            if (item.done) {
+                return { done: true };
+            }
+
+            if (!await this.fn(item.value)) {
+                this.finishedTaking = true;
+                return this.return();
+            }
+
+            return { done: false, value: item.value };
+        }
+
+        return { done: true };
+    }
+}
+
+class AsyncChunkIterator extends AsyncLazyIterator {
+    constructor(iterator, chunkSize) {
+        super(iterator);
+        this.chunkSize = chunkSize;
+    }
+
+    async next() {
+        const values = [];
+        for (let i = 0; i < this.chunkSize; i++) {
+            // eslint-disable-next-line no-await-in-loop
+            const item = await this.iterator.next();
+            if (item.done) {
+                break;
+            }
+
+            values.push(item.value);
+        }
+
+        if (!values.length) {
+            return { done: true };
+        }
+
+        return { done: false, value: values };
+    }
+}
+
+// Keeps the current window in a ring buffer of the window size.
+// The window starts at `head` and holds `length` values.
+class AsyncWindowsIterator extends AsyncLazyIterator {
+    constructor(iterator, size, step, partial) {
+        super(iterator);
+        this.size = size;
+        this.step = step;
+        this.partial = partial;
+        this.buffer = new Array(size);
+        this.head = 0;
+        this.length = 0;
+        this.started = false;
+        this.exhausted = false;
+    }
+
+    async next() {
+        if (this.started) {
+            await this.drop();
+        } else {
+            this.started = true;
+        }
+
+        while (!this.exhausted && this.length < this.size) {
+            // eslint-disable-next-line no-await-in-loop
+            const item = await this.iterator.next();
+            if (item.done) {
+                this.exhausted = true;
+                break;
+            }
+
+            this.buffer[(this.head + this.length) % this.size] = item.value;
+            this.length++;
+        }
+
+        if (this.length === 0 || (this.length < this.size && !this.partial)) {
+            return { done: true };
+        }
+
+        const values = new Array(this.length);
+        for (let i = 0; i < this.length; i++) {
+            values[i] = this.buffer[(this.head + i) % this.size];
+        }
+
+        return { done: false, value: values };
+    }
+
+    async drop() {
+        if (this.step < this.length) {
+            for (let i = 0; i < this.step; i++) {
+                this.buffer[(this.head + i) % this.size] = undefined;
+            }
+
+            this.head = (this.head + this.step) % this.size;
+            this.length -= this.step;
+            return;
+        }
+
+        const skipAmount = this.step - this.length;
+        this.buffer.fill(undefined);
+        this.head = 0;
+        this.length = 0;
+        for (let i = 0; i < skipAmount && !this.exhausted; i++) {
+            // eslint-disable-next-line no-await-in-loop
+            if ((await this.iterator.next()).done) {
+                this.exhausted = true;
+            }
+        }
+    }
+}
+
+class AsyncEnumerateIterator extends AsyncLazyIterator {
+    constructor(iterator) {
+        super(iterator);
+        this.index = 0;
+    }
+
+    async next() {
+        const item = await this.iterator.next();
+        if (item.done) {
+            return { done: true };
+        }
+
+        return { done: false, value: [this.index++, item.value] };
+    }
+}
+
+class AsyncConcatIterator extends AsyncLazyIterator {
+    constructor(iterator, concatIterators) {
+        super(iterator);
+        this.concatIterators = concatIterators;
+        this.currentIterator = this.iterator;
+    }
+
+    async next() {
+        let item = await this.currentIterator.next();
+        while (item.done && this.concatIterators.length) {
+            this.currentIterator = this.concatIterators.shift();
+            // eslint-disable-next-line no-await-in-loop
+            item = await this.currentIterator.next();
+        }
+
+        return item.done
+            ? { done: true }
+            : item;
+    }
+
+    async return(value) {
+        if (!this.closed) {
+            await closeIterator(this.currentIterator);
+            await Promise.all(this.concatIterators.map(closeIterator));
+        }
+
+        return super.return(value);
+    }
+}
+
+// Iterators that are done are removed from the rotation.
+class AsyncInterleaveIterator extends AsyncLazyIterator {
+    constructor(iterator, interleaveIterators, weights) {
+        super(iterator);
+        this.iterators = [iterator, ...interleaveIterators];
+        this.weights = weights.slice();
+        this.position = 0;
+        this.taken = 0;
+    }
+
+    async next() {
+        while (this.iterators.length) {
+            // eslint-disable-next-line no-await-in-loop
+            const item = await this.iterators[this.position].next();
+            if (item.done) {
+                this.iterators.splice(this.position, 1);
+                this.weights.splice(this.position, 1);
+                this.taken = 0;
+                if (this.position >= this.iterators.length) {
+                    this.position = 0;
+                }
+
+                continue;
+            }
+
+            this.taken++;
+            if (this.taken >= this.weights[this.position]) {
+                this.taken = 0;
+                this.position = (this.position + 1) % this.iterators.length;
+            }
+
+            return item;
+        }
+
+        return { done: true };
+    }
+
+    async return(value) {
+        if (!this.closed) {
+            await Promise.all(this.iterators.filter(iter => iter !== this.iterator).map(closeIterator));
+        }
+
+        return super.return(value);
+    }
+}
+
+// Merges with a heap holding the head of each iterator, ties broken by the position of the iterator.
+// The iterator of the last yielded element is only advanced when the next element is needed.
+class AsyncMergeSortedIterator extends AsyncLazyIterator {
+    constructor(iterator, mergeIterators, compare) {
+        super(iterator);
+        this.iterators = [iterator, ...mergeIterators];
+        this.compareEntries = (a, b) => compare(a.value, b.value) || a.index - b.index;
+        this.heap = null;
+        this.refill = -1;
+    }
+
+    async next() {
+        if (this.heap === null) {
+            this.heap = new Heap(this.compareEntries);
+            const items = await Promise.all(this.iterators.map(iter => iter.next()));
+            items.forEach((item, index) => {
+                if (!item.done) {
+                    this.heap.push({ value: item.value, index });
+                }
+            });
+        } else if (this.refill !== -1) {
+            await this.pull();
+        }
+
+        if (!this.heap.size) {
+            return { done: true };
+        }
+
+        const top = this.heap.peek();
+        this.refill = top.index;
+        return { done: false, value: top.value };
+    }
+
+    async pull() {
+        const index = this.refill;
+        this.refill = -1;
+        const item = await this.iterators[index].next();
+        if (item.done) {
+            this.heap.pop();
+        } else {
+            this.heap.replaceTop({ value: item.value, index });
+        }
+    }
+
+    async return(value) {
+        if (!this.closed) {
+            await Promise.all(this.iterators.slice(1).map(closeIterator));
+        }
+
+        return super.return(value);
+    }
+}
+
+// Walks two sorted iterators side by side, holding the current element of each.
+// Equal elements are paired off one to one, and `keep` says which of the unpaired and paired elements are yielded.
+// Once one side is done and the other side would not be yielded anymore, the iteration stops early.
+class AsyncSortedSetIterator extends AsyncLazyIterator {
+    constructor(iterator, other, compare, distinct, keep) {
+        super(iterator);
+        this.other = other;
+        this.compare = compare;
+        this.distinct = distinct;
+        this.keep = keep;
+        this.left = null;
+        this.right = null;
+        this.previousLeft = null;
+        this.previousRight = null;
+    }
+
+    async next() {
+        for (;;) {
+            if (this.left === null) {
+                // eslint-disable-next-line no-await-in-loop
+                this.left = await this.pull(this.iterator, this.previousLeft);
+            }
+
+            if (this.right === null) {
+                // eslint-disable-next-line no-await-in-loop
+                this.right = await this.pull(this.other, this.previousRight);
+            }
+
+            const { left, right } = this;
+            if ((left.done && (right.done || !this.keep.right)) || (right.done && !this.keep.left)) {
+                return this.return();
+            }
+
+            let order = left.done ? 1 : -1;
+            if (!left.done && !right.done) {
+                // eslint-disable-next-line no-await-in-loop
+                order = await this.compare(left.value, right.value);
+            }
+
+            if (order <= 0) {
+                this.previousLeft = left;
+                this.left = null;
+            }
+
+            if (order >= 0) {
+                this.previousRight = right;
+                this.right = null;
+            }
+
+            if (order < 0 && this.keep.left) {
+                return { done: false, value: left.value };
+            }
+
+            if (order > 0 && this.keep.right) {
+                return { done: false, value: right.value };
+            }
+
+            if (order === 0 && this.keep.both) {
+                return { done: false, value: left.value };
+            }
+        }
+    }
+
+    // In distinct mode, elements equal to the previous one from the same side are skipped.
+    async pull(iter, previous) {
+        let item = await iter.next();
+        if (this.distinct && previous !== null) {
+            // eslint-disable-next-line no-await-in-loop
+            while (!item.done && await this.compare(previous.value, item.value) === 0) {
+                // eslint-disable-next-line no-await-in-loop
+                item = await iter.next();
+            }
+        }
+
+        return item;
+    }
+
+    async return(value) {
+        if (!this.closed) {
+            await closeIterator(this.other);
+        }
+
+        return super.return(value);
+    }
+}
+
+// The other iterator is collected into counts, which elements of this iterator are paired off against.
+// Whatever is left of the counts afterwards is yielded in the order of the other iterator.
+// In distinct mode, both sides are deduplicated first, so that every count is one.
+class AsyncHashSetIterator extends AsyncLazyIterator {
+    constructor(iterator, other, distinct, keep) {
+        super(iterator);
+        this.other = other;
+        this.distinct = distinct;
+        this.keep = keep;
+        this.counts = null;
+        this.otherValues = null;
+        this.seen = distinct ? new Set() : null;
+        this.position = -1;
+    }
+
+    async next() {
+        if (this.counts === null) {
+            this.counts = new Map();
+            this.otherValues = [];
+            for await (const value of this.other) {
+                const count = this.counts.get(value) || 0;
+                if (!this.distinct || count === 0) {
+                    this.counts.set(value, count + 1);
+                    this.otherValues.push(value);
+                }
+            }
+        }
+
+        if (this.position === -1) {
+            let item = await this.iterator.next();
+            while (!item.done) {
+                const { value } = item;
+                if (!this.distinct || !this.seen.has(value)) {
+                    if (this.distinct) {
+                        this.seen.add(value);
+                    }
+
+                    const count = this.counts.get(value) || 0;
+                    if (count > 0) {
+                        this.counts.set(value, count - 1);
+                    }
+
+                    if (count > 0 ? this.keep.both : this.keep.left) {
+                        return { done: false, value };
+                    }
+                }
+
+                // eslint-disable-next-line no-await-in-loop
+                item = await this.iterator.next();
+            }
+
+            this.position = 0;
+        }
+
+        while (this.keep.right && this.position < this.otherValues.length) {
+            const value = this.otherValues[this.position++];
+            const count = this.counts.get(value);
+            if (count > 0) {
+                this.counts.set(value, count - 1);
+                return { done: false, value };
+            }
+        }
+
+        return { done: true };
+    }
+
+    async return(value) {
+        if (!this.closed) {
+            await closeIterator(this.other);
+        }
+
+        return super.return(value);
+    }
+}
+
+const checkSubsetSize = k => {
+    if (!Number.isInteger(k) || k < 0) {
+        throw new RangeError('Size must be an integer greater than or equal to 0');
+    }
+};
+
+// Buffers the values of an iterator, only reading more when a position past them is asked for.
+class AsyncPool {
+    constructor(iterator) {
+        this.iterator = iterator;
+        this.values = [];
+        this.done = false;
+    }
+
+    async has(index) {
+        while (!this.done && this.values.length <= index) {
+            // eslint-disable-next-line no-await-in-loop
+            const item = await this.iterator.next();
+            if (item.done) {
+                this.done = true;
+            } else {
+                this.values.push(item.value);
+            }
+        }
+
+        return index < this.values.length;
+    }
+
+    pick(indices) {
+        return indices.map(i => this.values[i]);
+    }
+}
+
+// Lexicographic order is an odometer over the buffered iterators, moving the first iterator on when it wraps around.
+// Diagonal order goes through the positions level by level, where a level is the sum of the positions.
+// Within a level, positions are in lexicographic order, and the first empty level means every array was reached.
+class AsyncProductIterator extends AsyncLazyIterator {
+    constructor(iterator, productIterators, diagonal) {
+        super(iterator);
+        this.productIterators = productIterators;
+        this.diagonal = diagonal;
+        this.pools = null;
+        this.indices = null;
+        this.head = null;
+        this.level = 0;
+    }
+
+    async next() {
+        if (this.closed) {
+            return { done: true };
+        }
+
+        if (this.diagonal) {
+            return this.nextDiagonal();
+        }
+
+        if (this.indices === null) {
+            this.pools = this.productIterators.map(iter => new AsyncPool(iter));
+            this.indices = this.pools.map(() => 0);
+            this.head = await this.iterator.next();
+            for (const pool of this.pools) {
+                // eslint-disable-next-line no-await-in-loop
+                if (this.head.done || !await pool.has(0)) {
+                    return this.return();
+                }
+            }
+        } else {
+            let j = this.indices.length - 1;
+            // eslint-disable-next-line no-await-in-loop
+            while (j >= 0 && !await this.pools[j].has(this.indices[j] + 1)) {
+                this.indices[j] = 0;
+                j--;
+            }
+
+            if (j >= 0) {
+                this.indices[j]++;
+            } else {
+                this.head = await this.iterator.next();
+                if (this.head.done) {
+                    return this.return();
+                }
+            }
+        }
+
+        return { done: false, value: [this.head.value, ...this.indices.map((i, d) => this.pools[d].values[i])] };
+    }
+
+    async nextDiagonal() {
+        if (this.indices === null) {
+            this.pools = [this.iterator, ...this.productIterators].map(iter => new AsyncPool(iter));
+            this.indices = this.pools.map(() => 0);
+            if (!await this.fill(0, 0)) {
+                return this.return();
+            }
+        } else if (!await this.advance()) {
+            return this.return();
+        }
+
+        return { done: false, value: this.indices.map((i, d) => this.pools[d].values[i]) };
+    }
+
+    // Moves to the next positions in the level, or the first positions in the next level.
+    async advance() {
+        let used = this.indices.reduce((a, b) => a + b, 0) - this.indices[this.indices.length - 1];
+        for (let d = this.indices.length - 2; d >= 0; d--) {
+            used -= this.indices[d];
+            // eslint-disable-next-line no-await-in-loop
+            for (let i = this.indices[d] + 1; i <= this.level - used && await this.pools[d].has(i); i++) {
+                this.indices[d] = i;
+                // eslint-disable-next-line no-await-in-loop
+                if (await this.fill(d + 1, this.level - used - i)) {
+                    return true;
+                }
+            }
+        }
+
+        this.level++;
+        return this.fill(0, this.level);
+    }
+
+    // Sets the positions from the given iterator on to the first ones that sum up to the given amount.
+    async fill(d, amount) {
+        if (d === this.indices.length - 1) {
+            this.indices[d] = amount;
+            return this.pools[d].has(amount);
+        }
+
+        // eslint-disable-next-line no-await-in-loop
+        for (let i = 0; i <= amount && await this.pools[d].has(i); i++) {
+            this.indices[d] = i;
+            // eslint-disable-next-line no-await-in-loop
+            if (await this.fill(d + 1, amount - i)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    async return(value) {
+        if (!this.closed) {
+            await Promise.all(this.productIterators.map(closeIterator));
+        }
+
+        return super.return(value);
+    }
+}
+
+// Orderings are kept as positions, and the next one in lexicographic order is found from the right.
+// The rightmost position that can be raised to an unused position is raised, and the rest are filled in with the lowest unused positions.
+class AsyncPermutationsIterator extends AsyncLazyIterator {
+    constructor(iterator, k) {
+        super(iterator);
+        this.k = k;
+        this.pool = new AsyncPool(iterator);
+        this.indices = null;
+    }
+
+    async next() {
+        if (this.indices === null) {
+            if (this.k === undefined) {
+                await this.pool.has(Infinity);
+                this.k = this.pool.values.length;
+            }
+
+            this.indices = Array.from({ length: this.k }, (_, i) => i);
+            if (this.k > 0 && !await this.pool.has(this.k - 1)) {
+                return { done: true };
+            }
+
+            return { done: false, value: this.pool.pick(this.indices) };
+        }
+
+        const used = new Set(this.indices);
+        for (let j = this.k - 1; j >= 0; j--) {
+            used.delete(this.indices[j]);
+            let i = this.indices[j] + 1;
+            while (used.has(i)) {
+                i++;
+            }
+
+            // eslint-disable-next-line no-await-in-loop
+            if (await this.pool.has(i)) {
+                this.indices[j] = i;
+                used.add(i);
+                let lowest = 0;
+                for (let m = j + 1; m < this.k; m++) {
+                    while (used.has(lowest)) {
+                        lowest++;
+                    }
+
+                    this.indices[m] = lowest;
+                    used.add(lowest);
+                }
+
+                return { done: false, value: this.pool.pick(this.indices) };
+            }
+        }
+
+        return this.return();
+    }
+}
+
+// Choices are kept as increasing positions, or non-decreasing positions with replacement.
+// The rightmost position that can be raised is raised, and the positions after it start over right after it.
+class AsyncCombinationsIterator extends AsyncLazyIterator {
+    constructor(iterator, k, replacement) {
+        super(iterator);
+        this.k = k;
+        this.replacement = replacement;
+        this.pool = new AsyncPool(iterator);
+        this.indices = null;
+    }
+
+    async next() {
+        if (this.indices === null) {
+            this.indices = Array.from({ length: this.k }, (_, i) => this.replacement ? 0 : i);
+            if (this.k > 0 && !await this.pool.has(this.indices[this.k - 1])) {
+                return { done: true };
+            }
+
+            return { done: false, value: this.pool.pick(this.indices) };
+        }
+
+        for (let j = this.k - 1; j >= 0; j--) {
+            const last = this.replacement
+                ? this.indices[j] + 1
+                : this.indices[j] + this.k - j;
+
+            // eslint-disable-next-line no-await-in-loop
+            if (await this.pool.has(last)) {
+                this.indices[j]++;
+                for (let m = j + 1; m < this.k; m++) {
+                    this.indices[m] = this.replacement
+                        ? this.indices[j]
+                        : this.indices[m - 1] + 1;
+                }
+
+                return { done: false, value: this.pool.pick(this.indices) };
+            }
+        }
+
+        return this.return();
+    }
+}
+
+// Subsets are counted in binary, with the lowest bit for the first element.
+// A new element is only read when the count carries past every element read so far.
+class AsyncPowersetIterator extends AsyncLazyIterator {
+    constructor(iterator) {
+        super(iterator);
+        this.pool = new AsyncPool(iterator);
+        this.bits = null;
+    }
+
+    async next() {
+        if (this.bits === null) {
+            this.bits = [];
+            return { done: false, value: [] };
+        }
+
+        let m = this.bits.indexOf(false);
+        if (m === -1) {
+            m = this.bits.length;
+            if (!await this.pool.has(m)) {
+                return { done: true };
+            }
+        }
+
+        this.bits.fill(false, 0, m);
+        this.bits[m] = true;
+
+        return { done: false, value: this.pool.values.filter((_, i) => this.bits[i]) };
+    }
+}
+
+class AsyncSortedIterator extends AsyncLazyIterator {
+    constructor(iterator, compare) {
+        super(iterator);
+        this.compare = compare;
+        this.heap = null;
+    }
+
+    async next() {
+        if (this.heap === null) {
+            const entries = [];
+            for await (const value of this.iterator) {
+                entries.push({ value, index: entries.length });
+            }
+
+            this.heap = new Heap((a, b) => this.compare(a.value, b.value) || a.index - b.index, entries);
+        }
+
+        return this.heap.size
+            ? { done: false, value: this.heap.pop().value }
+            : { done: true };
+    }
+}
+
+// Like TeeBuffer, but only one pull from the source can be pending at a time,
+// and iterators that wait for the buffer to have room are woken up whenever it is trimmed.
+class AsyncTeeBuffer {
+    constructor(iterator, amount, maxBuffer, block) {
+        this.iterator = iterator;
+        this.maxBuffer = maxBuffer;
+        this.block = block;
+        this.values = [];
+        this.head = 0;
+        this.start = 0;
+        this.positions = new Array(amount).fill(0);
+        this.exhausted = false;
+        this.pending = null;
+        this.waiting = [];
+    }
+
+    get end() {
+        return this.start + this.values.length - this.head;
+    }
+
+    async pull(branch) {
+        for (;;) {
+            const position = this.positions[branch];
+            if (position < this.end) {
+                const value = this.values[this.head + position - this.start];
+                this.positions[branch]++;
+                this.trim();
+                return { done: false, value };
+            }
+
+            if (this.exhausted) {
+                return { done: true };
+            }
+
+            if (this.pending) {
+                // eslint-disable-next-line no-await-in-loop
+                await this.pending;
+                continue;
+            }
+
+            // The value only needs to be kept if another iterator has yet to pull it.
+            const waiting = this.positions.some((other, i) => i !== branch && other !== null);
+            if (waiting && this.end - this.slowest() >= this.maxBuffer) {
+                if (!this.block) {
+                    throw new RangeError(`Tee buffer exceeded its limit of ${this.maxBuffer} values`);
+                }
+
+                // eslint-disable-next-line no-await-in-loop
+                await new Promise(resolve => this.waiting.push(resolve));
+                continue;
+            }
+
+            this.pending = this.iterator.next();
+            let item;
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                item = await this.pending;
+            } finally {
+                this.pending = null;
+            }
+
+            if (item.done) {
+                this.exhausted = true;
+                return { done: true };
+            }
+
+            this.positions[branch]++;
+            if (waiting) {
+                this.values.push(item.value);
+            } else {
+                this.start++;
+            }
+
+            return item;
+        }
+    }
+
+    slowest() {
+        let slowest = Infinity;
+        for (const position of this.positions) {
+            if (position !== null && position < slowest) {
+                slowest = position;
+            }
+        }
+
+        return slowest;
+    }
+
+    trim() {
+        const slowest = Math.min(this.slowest(), this.end);
+        if (this.start === slowest) {
+            return;
+        }
+
+        while (this.start < slowest) {
+            this.values[this.head++] = undefined;
+            this.start++;
+        }
+
+        if (this.head * 2 >= this.values.length) {
+            this.values.splice(0, this.head);
+            this.head = 0;
+        }
+
+        const waiting = this.waiting;
+        this.waiting = [];
+        for (const resolve of waiting) {
+            resolve();
+        }
+    }
+
+    async close(branch) {
+        this.positions[branch] = null;
+        if (this.positions.every(position => position === null)) {
+            this.values = [];
+            this.head = 0;
+            await this.iterator.return();
+        } else {
+            this.trim();
+        }
+    }
+}
+
+// The source of one of the iterators made by `tee`, which reads the values from the shared buffer.
+class AsyncTeeSource {
+    constructor(buffer, branch) {
+        this.buffer = buffer;
+        this.branch = branch;
+        this.closed = false;
+    }
+
+    async next() {
+        if (this.closed) {
+            return { done: true };
+        }
+
+        const item = await this.buffer.pull(this.branch);
+        if (item.done) {
+            await this.return();
+        }
+
+        return item;
+    }
+
+    async return(value) {
+        if (!this.closed) {
+            this.closed = true;
+            await this.buffer.close(this.branch);
+        }
+
+        return { done: true, value };
+    }
+}
+
+// Like MemoCache, but only one pull can be pending at a time, which the other iterators wait for.
+class AsyncMemoCache {
+    constructor(iterator) {
+        this.iterator = iterator;
+        this.values = [];
+        this.exhausted = false;
+        this.pending = null;
+    }
+
+    async get(index) {
+        while (this.pending && index >= this.values.length) {
+            // eslint-disable-next-line no-await-in-loop
+            await this.pending;
+        }
+
+        if (index < this.values.length) {
+            return { done: false, value: this.values[index] };
+        }
+
+        if (this.exhausted) {
+            return { done: true };
+        }
+
+        this.pending = this.iterator.next();
+        let item;
+        try {
+            item = await this.pending;
+        } finally {
+            this.pending = null;
+        }
+
+        if (item.done) {
+            this.exhausted = true;
+            return { done: true };
+        }
+
+        this.values.push(item.value);
+        return item;
+    }
+}
+
+// The source of one of the iterators of the sequence made by `memoize`, which reads the values from the shared cache.
+class AsyncMemoSource {
+    constructor(cache) {
+        this.cache = cache;
+        this.position = 0;
+    }
+
+    async next() {
+        const item = await this.cache.get(this.position);
+        if (!item.done) {
+            this.position++;
+        }
+
+        return item;
+    }
+}
+
+const checkAttempts = attempts => {
+    if (!Number.isInteger(attempts) || attempts < 1) {
+        throw new RangeError('Attempts must be an integer greater than or equal to 1');
+    }
+};
+
+class AsyncCatchErrorIterator extends AsyncLazyIterator {
+    constructor(iterator, handler) {
+        super(iterator);
+        this.handler = handler;
+        this.substitutes = null;
+    }
+
+    async next() {
+        // Errors are handled in a loop, so that a long run of failing elements does not grow the stack.
+        for (;;) {
+            if (this.substitutes) {
+                // eslint-disable-next-line no-await-in-loop
+                const item = await this.substitutes.next();
+                if (!item.done) {
+                    return item;
+                }
+
+                this.substitutes = null;
+            }
+
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                return await this.iterator.next();
+            } catch (err) {
+                // eslint-disable-next-line no-await-in-loop
+                this.substitutes = AsyncLazyIterator.from(await this.handler(err));
+            }
+        }
+    }
+
+    async return(value) {
+        if (!this.closed) {
+            await closeIterator(this.substitutes);
+            this.substitutes = null;
+        }
+
+        return super.return(value);
+    }
+}
+
+class AsyncCycleIterator extends AsyncLazyIterator {
+    constructor(iterator) {
+        super(iterator);
+        this.cache = [];
+        this.cachedAll = false;
+    }
+
+    async next() {
+        const item = await this.iterator.next();
+        if (item.done) {
+            if (!this.cache.length) {
+                return { done: true };
+            }
+
+            this.iterator = new AsyncFromSyncIterator(this.cache[Symbol.iterator]());
+            this.cachedAll = true;
+            return this.next();
+        }
+
+        if (!this.cachedAll) {
+            this.cache.push(item.value);
+        }
+
+        return item;
+    }
+}
+
+class AsyncMapIterator extends AsyncLazyIterator {
+    constructor(iterator, fn) {
+        super(iterator);
+        this.fn = fn;
+    }
+
+    async next() {
+        const item = await this.iterator.next();
+        return item.done
+            ? { done: true }
+            : { done: false, value: await this.fn(item.value) };
+    }
+}
+
+class AsyncMapConcurrentIterator extends AsyncLazyIterator {
+    constructor(iterator, fn, concurrency, ordered) {
+        super(iterator);
+        this.fn = fn;
+        this.concurrency = concurrency;
+        this.ordered = ordered;
+        this.pending = [];
+        this.finishedSource = false;
+    }
+
+    async next() {
+        while (!this.finishedSource && this.pending.length < this.concurrency) {
+            // eslint-disable-next-line no-await-in-loop
+            const item = await this.iterator.next();
+            if (item.done) {
+                this.finishedSource = true;
+                break;
+            }
+
+            this.pending.push(this.run(item.value));
+        }
+
+        if (!this.pending.length) {
+            return { done: true };
+        }
+
+        const settled = this.ordered
+            ? await this.pending[0]
+            : await Promise.race(this.pending);
+
+        this.pending.splice(this.pending.indexOf(settled.promise), 1);
+        if (settled.failed) {
+            await this.return();
+            throw settled.error;
+        }
+
+        return { done: false, value: settled.value };
+    }
+
+    // The results still running are dropped, since nothing can read them anymore.
+    return(value) {
+        this.pending = [];
+        this.finishedSource = true;
+        return super.return(value);
+    }
+
+    run(value) {
+        // Rejections are kept as values so that results which are not awaited yet do not go unhandled.
+        const settled = { promise: null, failed: false, value: undefined, error: undefined };
+        settled.promise = Promise.resolve(value).then(this.fn).then(res => {
+            settled.value = res;
+            return settled;
+        }, err => {
+            settled.failed = true;
+            settled.error = err;
+            return settled;
+        });
+
+        return settled.promise;
+    }
+}
+
+class AsyncFilterIterator extends AsyncLazyIterator {
+    constructor(iterator, fn) {
+        super(iterator);
+        this.fn = fn;
+    }
+
+    async next() {
+        let item = await this.iterator.next();
+        // eslint-disable-next-line no-await-in-loop
+        while (!item.done && !await this.fn(item.value)) {
+            // eslint-disable-next-line no-await-in-loop
+            item = await this.iterator.next();
+        }
+
+        return item.done
+            ? { done: true }
+            : { done: false, value: item.value };
+    }
+}
+
+// Set iterates in insertion order, so when limited, the first key is the least recently seen.
+class AsyncUniqueIterator extends AsyncLazyIterator {
+    constructor(iterator, fn, limit) {
+        super(iterator);
+        this.fn = fn;
+        this.limit = limit;
+        this.seen = new Set();
+    }
+
+    async next() {
+        let item = await this.iterator.next();
+        while (!item.done) {
+            // eslint-disable-next-line no-await-in-loop
+            const key = await this.fn(item.value);
+            const seen = this.seen.has(key);
+            if (seen && this.limit !== Infinity) {
+                // Moves the key to the end, as the most recently seen.
+                this.seen.delete(key);
+            }
+
+            this.seen.add(key);
+            if (this.seen.size > this.limit) {
+                this.seen.delete(this.seen.values().next().value);
+            }
+
+            if (!seen) {
+                return { done: false, value: item.value };
+            }
+
+            // eslint-disable-next-line no-await-in-loop
+            item = await this.iterator.next();
+        }
+
+        return { done: true };
+    }
+}
+
+class AsyncDedupAdjacentIterator extends AsyncLazyIterator {
+    constructor(iterator, eq) {
+        super(iterator);
+        this.eq = eq;
+        this.started = false;
+        this.previous = undefined;
+    }
+
+    async next() {
+        let item = await this.iterator.next();
+        // eslint-disable-next-line no-await-in-loop
+        while (!item.done && this.started && await this.eq(this.previous, item.value)) {
+            // eslint-disable-next-line no-await-in-loop
+            item = await this.iterator.next();
+        }
+
+        if (item.done) {
+            return { done: true };
+        }
+
+        this.started = true;
+        this.previous = item.value;
+        return { done: false, value: item.value };
+    }
+}
+
+class AsyncScanIterator extends AsyncLazyIterator {
+    constructor(iterator, fn, accum) {
+        super(iterator);
+        this.fn = fn;
+        this.accum = accum;
+        this.yieldedStart = false;
+        this.index = 0;
+    }
+
+    async next() {
+        if (!this.yieldedStart) {
+            if (this.accum !== undefined) {
+                this.yieldedStart = true;
+                return { done: false, value: this.accum };
+            }
+
+            const item = await this.iterator.next();
+            if (item.done) {
+                throw new TypeError('Scan of empty sequence with no initial value');
+            }
+
+            this.yieldedStart = true;
+            this.accum = item.value;
+            this.index++;
+            return item;
+        }
+
+        const item = await this.iterator.next();
+        if (item.done) {
+            return { done: true };
+        }
+
+        this.accum = await this.fn(this.accum, item.value, this.index++);
+        return { done: false, value: this.accum };
+    }
+}
+
+class AsyncZipIterator extends AsyncLazyIterator {
+    constructor(iterator, zipIterators) {
+        super(iterator);
+        this.zipIterators = zipIterators;
+    }
+
+    async next() {
+        const items = await Promise.all([this.iterator, ...this.zipIterators].map(iter => iter.next()));
+        return items.some(item => item.done)
+            ? this.return()
+            : { done: false, value: items.map(item => item.value) };
+    }
+
+    async return(value) {
+        if (!this.closed) {
+            await Promise.all(this.zipIterators.map(closeIterator));
+        }
+
+        return super.return(value);
+    }
+}
+
+class AsyncZipWithIterator extends AsyncZipIterator {
+    constructor(iterator, fn, zipIterators) {
+        super(iterator, zipIterators);
+        this.fn = fn;
+    }
+
+    async next() {
+        const items = await Promise.all([this.iterator, ...this.zipIterators].map(iter => iter.next()));
+        return items.some(item => item.done)
+            ? this.return()
+            : { done: false, value: await Reflect.apply(this.fn, undefined, items.map(item => item.value)) };
+    }
+}
+
+// Iterators that are done stay in place and are padded for.
+class AsyncZipLongestIterator extends AsyncLazyIterator {
+    constructor(iterator, zipIterators, fills) {
+        super(iterator);
+        this.zipIterators = zipIterators;
+        this.fills = fills;
+        this.finished = [iterator, ...zipIterators].map(() => false);
+    }
+
+    async next() {
+        const items = await Promise.all([this.iterator, ...this.zipIterators].map((iter, i) => this.finished[i]
+            ? { done: true }
+            : iter.next()));
+
+        let remaining = false;
+        const value = items.map((item, i) => {
+            if (item.done) {
+                this.finished[i] = true;
+                return this.fills[i];
+            }
+
+            remaining = true;
+            return item.value;
+        });
+
+        if (!remaining) {
+            return this.return();
+        }
+
+        return { done: false, value };
+    }
+
+    async return(value) {
+        if (!this.closed) {
+            await Promise.all(this.zipIterators.filter((_, i) => !this.finished[i + 1]).map(closeIterator));
+        }
+
+        return super.return(value);
+    }
+}
+
+class AsyncFlatIterator extends AsyncLazyIterator {
+    constructor(iterator, depth) {
+        super(iterator);
+        this.depth = depth;
+        this.flatIterator = null;
+    }
+
+    async next() {
+        if (this.flatIterator) {
+            const item = await this.flatIterator.next();
+            if (item.done) {
+                this.flatIterator = null;
+                return this.next();
+            }
+
+            return item;
+        }
+
+        const item = await this.iterator.next();
+        if (item.done) {
+            return { done: true };
+        }
+
+        if (this.depth > 0 && isFlattenable(item.value)) {
+            this.flatIterator = new AsyncFlatIterator(AsyncLazyIterator.from(item.value), this.depth - 1);
+            return this.next();
+        }
+
+        return item;
+    }
+
+    async return(value) {
+        if (!this.closed) {
+            await closeIterator(this.flatIterator);
+            this.flatIterator = null;
+        }
+
+        return super.return(value);
+    }
+}
+
+class AsyncFlatMapIterator extends AsyncLazyIterator {
+    constructor(iterator, fn) {
+        super(iterator);
+        this.fn = fn;
+        this.flatIterator = null;
+    }
+
+    async next() {
+        if (this.flatIterator) {
+            const item = await this.flatIterator.next();
+            if (item.done) {
+                this.flatIterator = null;
+                return this.next();
+            }
+
+            return item;
+        }
+
+        const item = await this.iterator.next();
+        if (item.done) {
+            return { done: true };
+        }
+
+        const value = await this.fn(item.value);
+        if (isFlattenable(value)) {
+            this.flatIterator = AsyncLazyIterator.from(value);
+            return this.next();
+        }
+
+        return { done: false, value };
+    }
+
+    async return(value) {
+        if (!this.closed) {
+            await closeIterator(this.flatIterator);
+            this.flatIterator = null;
+        }
+
+        return super.return(value);
+    }
+}
+
+class AsyncJoinIterator extends AsyncLazyIterator {
+    constructor(iterator, joinValue) {
+        super(iterator);
+        this.joinValue = joinValue;
+        this.joinNext = false;
+        this.upcoming = null;
+    }
+
+    async next() {
+        if (this.joinNext) {
+            this.joinNext = false;
+            return { done: false, value: this.joinValue };
+        }
+
+        const item = this.upcoming || await this.iterator.next();
+        if (item.done) {
+            return { done: true };
+        }
+
+        this.upcoming = await this.iterator.next();
+        this.joinNext = !this.upcoming.done;
+        return item;
+    }
+}
+
+class AsyncJoinWithIterator extends AsyncLazyIterator {
+    constructor(iterator, joinWithIterator) {
+        super(iterator);
+        this.joinWithIterator = joinWithIterator;
+        this.joinNext = false;
+        this.upcoming = null;
+        this.cache = [];
+        this.cachedAll = false;
+    }
+
+    async next() {
+        if (this.joinNext) {
+            const item = await this.joinWithIterator.next();
+            if (item.done) {
+                this.joinWithIterator = new AsyncFromSyncIterator(this.cache[Symbol.iterator]());
+                this.joinNext = false;
+                this.cachedAll = true;
+                return this.next();
+            }
+
+            if (!this.cachedAll) {
+                this.cache.push(item.value);
+            }
+
+            return item;
+        }
+
+        const item = this.upcoming || await this.iterator.next();
+        if (item.done) {
+            return this.return();
+        }
+
+        this.upcoming = await this.iterator.next();
+        this.joinNext = !this.upcoming.done;
+        return item;
+    }
+
+    async return(value) {
+        if (!this.closed) {
+            await closeIterator(this.joinWithIterator);
+        }
+
+        return super.return(value);
+    }
+}
+
+class AsyncEachIterator extends AsyncLazyIterator {
+    constructor(iterator, fn) {
+        super(iterator);
+        this.fn = fn;
+    }
+
+    async next() {
+        const item = await this.iterator.next();
+        if (!item.done) {
+            await this.fn(item.value);
+        }
+
+        return item;
+    }
+}
+
+class AsyncTraceIterator extends AsyncLazyIterator {
+    constructor(iterator, label, log) {
+        super(iterator);
+        this.label = label;
+        this.traced = traceNext(label, () => this.iterator.next(), log);
+    }
+
+    next() {
+        return this.traced();
+    }
+}
+
+module.exports = AsyncLazyIterator;
+
+/**
+ * @callback AsyncMapping
+ * @param {any} item Item to map.
+ * @param {number} [index] Index of the item, not given to callbacks whose `length` is 1, like `x => x` or `(x, i = 0) => i`.
+ * @returns {any|Promise<any>} Mapped item.
+ */
+
+/**
+ * @callback AsyncPredicate
+ * @param {any} item Item to check.
+ * @param {number} [index] Index of the item, not given to callbacks whose `length` is 1, like `x => x` or `(x, i = 0) => i`.
+ * @returns {boolean|Promise<boolean>} Whether or not the item passed.
+ */
+
+/**
+ * @callback AsyncConsumer
+ * @param {any} item Item to use.
+ * @param {number} [index] Index of the item, not given to callbacks whose `length` is 1, like `x => x` or `(x, i = 0) => i`.
+ * @returns {void|Promise<void>} Nothing.
+ */
+
+/**
+ * @callback AsyncReducer
+ * @param {any} accum The accumulator.
+ * @param {any} item The current item.
+ * @param {number} [index] Index of the current item, given to the callbacks of `scan`.
+ * @returns {any|Promise<any>} The new accumulator.
+ */
+
+/**
+ * @callback AsyncComparator
+ * @param {any} a Item to compare.
+ * @param {any} b Item to compare.
+ * @returns {number|Promise<number>} The ordering of the items.
+ */
+
+/**
+ * @callback AsyncEquality
+ * @param {any} a Item to compare.
+ * @param {any} b Item to compare.
+ * @returns {boolean|Promise<boolean>} Whether the items are equal.
+ */
+
+/**
+ * @callback AsyncErrorHandler
+ * @param {any} err The thrown error or rejection.
+ * @returns {AsyncIterator|AsyncIterable|Iterator|Iterable|Promise<AsyncIterator|AsyncIterable|Iterator|Iterable>} Values to use instead.
+ */
@@ -1,3 +1,31 @@
+const { inspect } = require('util');
+const AsyncLazyIterator = require('./AsyncLazyIterator');
+const {
+    ArraySource,
+    StringSource,
+    RangeSource,
+    BigIntRangeSource,
+    CountSource,
+    BigIntCountSource,
+    RepeatSource
+} = require('./sources');
+const { stageErrors, StageError, stageCallback } = require('./errors');
+const { writeLine, debugging, traceNext, stageName, describeChain } = require('./trace');
+const { measuring, timeCallback, chainMetrics, measureIterator } = require('./metrics');
+const { CompensatedSum, RunningVariance, checkProbabilities, exactQuantiles, QuantileSketch } = require('./stats');
+const {
+    sameValueZero,
+    consFunctions,
+    extendFunctions,
+    defineCollectionMethods,
+    defineSeqMethods,
+    splitOptions,
+    defaultCompare,
+    Heap,
+    isBigInt,
+    takesIndex
+} = require('./util');
+
 /**
  * Class for lazy iteration.
  * Wraps around an iterator.
@@ -12,12 +40,20 @@ class LazyIterator {
         this.iterator = iterator;
         this.peeked = false;
         this.peekedAt = null;
+        this.closed = false;
+        if (debugging.enabled || measuring.enabled) {
+            instrumentIterator(this);
+        }
     }
 
     [Symbol.iterator]() {
         return this;
     }
 
+    [inspect.custom]() {
+        return `LazyIterator [${describeChain(this, LazyIterator)}]`;
+    }
+
     /**
      * Returns the next item in the iterator.
      * @returns {IteratorResult} Iterator item.
@@ -28,7 +64,188 @@ class LazyIterator {
             return this.peekedAt;
         }
 
-        return this.iterator.next();
+        if (this.closed) {
+            return { done: true, value: undefined };
+        }
+
+        const item = this.iterator.next();
+        if (item.done) {
+            this.closed = true;
+        }
+
+        return item;
+    }
+
+    /**
+     * Whether the iterator can be iterated from the back with `nextBack`.
+     * @type {boolean}
+     * @readonly
+     */
+    get doubleEnded() {
+        return LazyIterator.isDoubleEnded(this.iterator);
+    }
+
+    /**
+     * Returns the next item from the back of the iterator.
+     * Only double-ended iterators support this.
+     * @returns {IteratorResult} Iterator item.
+     */
+    nextBack() {
+        if (typeof this.iterator.nextBack !== 'function') {
+            throw new TypeError('Iterator is not double-ended');
+        }
+
+        if (this.closed) {
+            return { done: true, value: undefined };
+        }
+
+        const item = this.iterator.nextBack();
+        if (item.done) {
+            if (this.peeked) {
+                this.peeked = false;
+                return this.peekedAt;
+            }
+
+            this.closed = true;
+        }
+
+        return item;
+    }
+
+    /**
+     * Returns the bounds on the amount of items left in the iterator, without consuming it.
+     * The upper bound is Infinity if the iterator is endless or if it is not known.
+     * @returns {[number, number]} The lower and upper bound.
+     */
+    sizeHint() {
+        if (this.peeked && this.peekedAt.done) {
+            return [0, 0];
+        }
+
+        const [lower, upper] = typeof this.iterator.sizeHint === 'function'
+            ? this.iterator.sizeHint()
+            : [0, Infinity];
+
+        return this.peeked
+            ? [lower + 1, upper + 1]
+            : [lower, upper];
+    }
+
+    /**
+     * Returns the exact amount of items left in the iterator, without consuming it.
+     * @returns {number|void} The amount of items, or undefined if it is not known.
+     */
+    len() {
+        const [lower, upper] = this.sizeHint();
+        return lower === upper
+            ? lower
+            : undefined;
+    }
+
+    /**
+     * Advances the iterator by some amount of elements, without yielding them.
+     * Sources that allow random access skip ahead without iterating, and negative amounts do not advance at all.
+     * @param {number} amount Amount of elements to advance by.
+     * @returns {number} Amount of elements advanced by, less if the iterator ended.
+     */
+    advanceBy(amount) {
+        if (amount <= 0) {
+            return 0;
+        }
+
+        let advanced = 0;
+        if (this.peeked && amount > 0) {
+            this.peeked = false;
+            if (this.peekedAt.done) {
+                return 0;
+            }
+
+            advanced++;
+        }
+
+        if (this.closed) {
+            return advanced;
+        }
+
+        if (typeof this.iterator.advanceBy === 'function') {
+            return advanced + this.iterator.advanceBy(amount - advanced);
+        }
+
+        while (advanced < amount && !this.next().done) {
+            advanced++;
+        }
+
+        return advanced;
+    }
+
+    /**
+     * Pushes each element into a sink function until it returns false.
+     * Consumers iterate this way, so that sources and fused adaptors can run their own loop.
+     * This does not close the iterator when the sink stops early.
+     * @param {Function} sink Function taking each element and returning whether to continue.
+     * @returns {boolean} Whether the iterator was exhausted.
+     */
+    drive(sink) {
+        if (this.peeked) {
+            this.peeked = false;
+            if (this.peekedAt.done) {
+                return true;
+            }
+
+            if (!sink(this.peekedAt.value)) {
+                return false;
+            }
+        }
+
+        if (this.closed) {
+            return true;
+        }
+
+        if (typeof this.iterator.drive === 'function') {
+            const exhausted = this.iterator.drive(sink);
+            if (exhausted) {
+                this.closed = true;
+            }
+
+            return exhausted;
+        }
+
+        for (let item = this.next(); !item.done; item = this.next()) {
+            if (!sink(item.value)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Closes the iterator early.
+     * All underlying iterators that are not done yet are closed, once.
+     * This is called automatically when breaking out of a loop over the iterator.
+     * @param {any} [value] Value to return.
+     * @returns {IteratorResult} The done iterator item.
+     */
+    return(value) {
+        if (!this.closed) {
+            this.closed = true;
+            this.peeked = false;
+            this.peekedAt = null;
+            closeIterator(this.iterator);
+        }
+
+        return { done: true, value };
+    }
+
+    /**
+     * Closes the iterator because of an error, then throws that error.
+     * All underlying iterators that are not done yet are closed, once.
+     * @param {any} err Error to throw.
+     * @returns {IteratorResult} Never returns.
+     */
+    throw(err) {
+        this.return();
+        throw err;
     }
 
     /**
@@ -41,59 +258,82 @@ class LazyIterator {
         }
 
         this.peeked = true;
-        this.peekedAt = this.iterator.next();
+        this.peekedAt = this.closed
+            ? { done: true, value: undefined }
+            : this.iterator.next();
+
+        if (this.peekedAt.done) {
+            this.closed = true;
+        }
+
         return this.peekedAt;
     }
 
     /**
      * Returns the value at a certain position.
-     * This consumes the iterator until the given position.
+     * This consumes the iterator until the given position, then closes it.
      * @param {number} index Position of value.
-     * @returns {any} The value at the given position.
+     * @returns {any} The value at the given position, or undefined for negative positions.
      */
     at(index) {
-        let value;
-        for (let i = 0; i <= index; i++) {
-            const item = this.next();
-            if (item.done) {
-                return undefined;
-            }
-
-            value = item.value;
+        if (index < 0) {
+            this.return();
+            return undefined;
         }
 
-        return value;
+        this.advanceBy(index);
+        const item = this.next();
+        this.return();
+        return item.value;
     }
 
     /**
      * Returns the size of the iterator.
      * This consumes the iterator.
+     * Sources that allow random access are not iterated.
      * @returns {number} Size of the iterator.
      */
     count() {
-        let i = 0;
-        // eslint-disable-next-line no-unused-vars
-        for (const value of this) {
-            i++;
-        }
-
-        return i;
+        const size = this.advanceBy(Infinity);
+        this.return();
+        return size;
     }
 
     /**
      * Returns the last item of the iterator.
      * This consumes the iterator.
+     * Double-ended iterators are read from the back instead, then closed.
      * @returns {any} Last item of the iterator.
      */
     last() {
+        if (this.doubleEnded) {
+            const item = this.nextBack();
+            this.return();
+            return item.value;
+        }
+
         let val;
-        for (const value of this) {
+        consume(this, value => {
             val = value;
-        }
+            return true;
+        });
 
         return val;
     }
 
+    /**
+     * Returns an iterator that iterates in reverse.
+     * Only double-ended iterators can be reversed.
+     * @returns {RevIterator} The iterator.
+     */
+    rev() {
+        if (!this.doubleEnded) {
+            throw new TypeError('Iterator is not double-ended');
+        }
+
+        return new RevIterator(this);
+    }
+
     /**
      * Returns an iterator that steps in an interval.
      * The iterator starts at the first element.
@@ -115,6 +355,7 @@ class LazyIterator {
 
     /**
      * Returns an iterator that takes only some amount of elements.
+     * Fractional amounts are rounded up, and negative amounts take nothing.
      * @param {number} takeAmount Amount of elements to take.
      * @returns {TakeIterator} The iterator.
      */
@@ -130,7 +371,7 @@ class LazyIterator {
      * @returns {SkipWhileIterator} The iterator.
      */
     skipWhile(fn) {
-        return new SkipWhileIterator(this, fn);
+        return new SkipWhileIterator(this, wrapCallback('skipWhile', this, fn));
     }
 
     /**
@@ -141,7 +382,7 @@ class LazyIterator {
      * @returns {TakeWhileIterator} The iterator.
      */
     takeWhile(fn) {
-        return new TakeWhileIterator(this, fn);
+        return new TakeWhileIterator(this, wrapCallback('takeWhile', this, fn));
     }
 
     /**
@@ -154,6 +395,28 @@ class LazyIterator {
         return new ChunkIterator(this, chunkSize);
     }
 
+    /**
+     * Returns an iterator over overlapping windows of consecutive values.
+     * A new window starts every `step` values, so windows overlap when the step is smaller than the size.
+     * Only the last `size` values are buffered, so this works on endless iterators.
+     * @param {number} size Size of a window.
+     * @param {number} [step=1] Amount of values between the start of each window.
+     * @param {Object} [options] Options for the windows.
+     * @param {boolean} [options.partial=false] Whether to also yield the shorter windows at the end.
+     * @returns {WindowsIterator} The iterator.
+     */
+    windows(size, step = 1, { partial = false } = {}) {
+        if (!Number.isInteger(size) || size < 1) {
+            throw new RangeError('Window size must be an integer greater than or equal to 1');
+        }
+
+        if (!Number.isInteger(step) || step < 1) {
+            throw new RangeError('Window step must be an integer greater than or equal to 1');
+        }
+
+        return new WindowsIterator(this, size, step, partial);
+    }
+
     /**
      * Returns an iterator that includes the index.
      * The iterator will iterate through (index, value) pairs.
@@ -173,6 +436,206 @@ class LazyIterator {
         return new ConcatIterator(this, iters.map(iter => LazyIterator.from(iter)));
     }
 
+    /**
+     * Returns an iterator that alternates between this iterator and other iterators.
+     * Iterators that are done are skipped, until all of them are done.
+     * @param {Array<Iterator|Iterable>} iters Iterators or iterables.
+     * @returns {InterleaveIterator} The iterator.
+     */
+    interleave(...iters) {
+        return this.roundRobin(1, ...iters);
+    }
+
+    /**
+     * Returns an iterator that takes turns between this iterator and other iterators.
+     * Each turn takes up to some amount of elements from an iterator, given per iterator or for all of them.
+     * Iterators that are done are skipped, until all of them are done.
+     * @param {number|Array<number>} weights Amount of elements to take per turn.
+     * @param {Array<Iterator|Iterable>} iters Iterators or iterables.
+     * @returns {InterleaveIterator} The iterator.
+     */
+    roundRobin(weights, ...iters) {
+        const amounts = Array.isArray(weights)
+            ? weights
+            : [this, ...iters].map(() => weights);
+
+        if (amounts.length !== iters.length + 1 || !amounts.every(amount => Number.isInteger(amount) && amount >= 1)) {
+            throw new RangeError('Weights must be integers greater than or equal to 1, one for each iterator');
+        }
+
+        return new InterleaveIterator(this, iters.map(iter => LazyIterator.from(iter)), amounts);
+    }
+
+    /**
+     * Returns an iterator that merges this iterator with other iterators, all of which are already sorted.
+     * Elements are yielded in sorted order, and equal elements in the order of the iterators they came from.
+     * Only one element per iterator is held at a time.
+     * A comparator may be given after the iterators, otherwise elements are compared with `<` and `>`.
+     * @param {Array<Iterator|Iterable>} iters Iterators or iterables.
+     * @param {Comparator} [compare] Comparator function.
+     * @returns {MergeSortedIterator} The iterator.
+     */
+    mergeSorted(...iters) {
+        const compare = typeof iters[iters.length - 1] === 'function'
+            ? iters.pop()
+            : defaultCompare;
+
+        return new MergeSortedIterator(this, iters.map(iter => LazyIterator.from(iter)), compare);
+    }
+
+    /**
+     * Returns an iterator over the elements in either this iterator or another iterator, both sorted.
+     * @param {Iterator|Iterable} iter Iterator or iterable.
+     * @param {Object} [options] Options for the comparison.
+     * @param {Comparator} [options.compare] Comparator function, otherwise elements are compared with `<` and `>`.
+     * @param {boolean} [options.distinct=false] Whether to treat the iterators as sets instead of multisets.
+     * @returns {SortedSetIterator} The iterator.
+     */
+    union(iter, { compare = defaultCompare, distinct = false } = {}) {
+        return new SortedSetIterator(this, LazyIterator.from(iter), compare, distinct, { left: true, right: true, both: true });
+    }
+
+    /**
+     * Returns an iterator over the elements in both this iterator and another iterator, both sorted.
+     * @param {Iterator|Iterable} iter Iterator or iterable.
+     * @param {Object} [options] Options for the comparison.
+     * @param {Comparator} [options.compare] Comparator function, otherwise elements are compared with `<` and `>`.
+     * @param {boolean} [options.distinct=false] Whether to treat the iterators as sets instead of multisets.
+     * @returns {SortedSetIterator} The iterator.
+     */
+    intersect(iter, { compare = defaultCompare, distinct = false } = {}) {
+        return new SortedSetIterator(this, LazyIterator.from(iter), compare, distinct, { left: false, right: false, both: true });
+    }
+
+    /**
+     * Returns an iterator over the elements in this iterator but not in another iterator, both sorted.
+     * @param {Iterator|Iterable} iter Iterator or iterable.
+     * @param {Object} [options] Options for the comparison.
+     * @param {Comparator} [options.compare] Comparator function, otherwise elements are compared with `<` and `>`.
+     * @param {boolean} [options.distinct=false] Whether to treat the iterators as sets instead of multisets.
+     * @returns {SortedSetIterator} The iterator.
+     */
+    difference(iter, { compare = defaultCompare, distinct = false } = {}) {
+        return new SortedSetIterator(this, LazyIterator.from(iter), compare, distinct, { left: true, right: false, both: false });
+    }
+
+    /**
+     * Returns an iterator over the elements in only one of this iterator and another iterator, both sorted.
+     * @param {Iterator|Iterable} iter Iterator or iterable.
+     * @param {Object} [options] Options for the comparison.
+     * @param {Comparator} [options.compare] Comparator function, otherwise elements are compared with `<` and `>`.
+     * @param {boolean} [options.distinct=false] Whether to treat the iterators as sets instead of multisets.
+     * @returns {SortedSetIterator} The iterator.
+     */
+    symmetricDifference(iter, { compare = defaultCompare, distinct = false } = {}) {
+        return new SortedSetIterator(this, LazyIterator.from(iter), compare, distinct, { left: true, right: true, both: false });
+    }
+
+    /**
+     * Returns an iterator over the elements in either this iterator or another finite iterator.
+     * @param {Iterator|Iterable} iter Iterator or iterable.
+     * @param {Object} [options] Options for the comparison.
+     * @param {boolean} [options.distinct=false] Whether to treat the iterators as sets instead of multisets.
+     * @returns {HashSetIterator} The iterator.
+     */
+    hashUnion(iter, { distinct = false } = {}) {
+        return new HashSetIterator(this, LazyIterator.from(iter), distinct, { left: true, right: true, both: true });
+    }
+
+    /**
+     * Returns an iterator over the elements in both this iterator and another finite iterator.
+     * @param {Iterator|Iterable} iter Iterator or iterable.
+     * @param {Object} [options] Options for the comparison.
+     * @param {boolean} [options.distinct=false] Whether to treat the iterators as sets instead of multisets.
+     * @returns {HashSetIterator} The iterator.
+     */
+    hashIntersect(iter, { distinct = false } = {}) {
+        return new HashSetIterator(this, LazyIterator.from(iter), distinct, { left: false, right: false, both: true });
+    }
+
+    /**
+     * Returns an iterator over the elements in this iterator but not in another finite iterator.
+     * @param {Iterator|Iterable} iter Iterator or iterable.
+     * @param {Object} [options] Options for the comparison.
+     * @param {boolean} [options.distinct=false] Whether to treat the iterators as sets instead of multisets.
+     * @returns {HashSetIterator} The iterator.
+     */
+    hashDifference(iter, { distinct = false } = {}) {
+        return new HashSetIterator(this, LazyIterator.from(iter), distinct, { left: true, right: false, both: false });
+    }
+
+    /**
+     * Returns an iterator over the elements in only one of this iterator and another finite iterator.
+     * @param {Iterator|Iterable} iter Iterator or iterable.
+     * @param {Object} [options] Options for the comparison.
+     * @param {boolean} [options.distinct=false] Whether to treat the iterators as sets instead of multisets.
+     * @returns {HashSetIterator} The iterator.
+     */
+    hashSymmetricDifference(iter, { distinct = false } = {}) {
+        return new HashSetIterator(this, LazyIterator.from(iter), distinct, { left: true, right: true, both: false });
+    }
+
+    /**
+     * Returns an iterator over every ordering of `k` elements of this iterator, as arrays.
+     * Orderings are yielded in lexicographic order of the positions of their elements.
+     * Elements are only read when needed, so an endless iterator can be used when `k` is given.
+     * @param {number} [k] Amount of elements in an ordering, defaults to all of them.
+     * @returns {PermutationsIterator} The iterator.
+     */
+    permutations(k) {
+        if (k !== undefined) {
+            checkSubsetSize(k);
+        }
+
+        return new PermutationsIterator(this, k);
+    }
+
+    /**
+     * Returns an iterator over every choice of `k` elements of this iterator, as arrays in the order of the elements.
+     * Choices are yielded in lexicographic order of the positions of their elements.
+     * Elements are only read when needed, so an endless iterator can be used.
+     * @param {number} k Amount of elements in a choice.
+     * @returns {CombinationsIterator} The iterator.
+     */
+    combinations(k) {
+        checkSubsetSize(k);
+        return new CombinationsIterator(this, k, false);
+    }
+
+    /**
+     * Returns an iterator over every choice of `k` elements of this iterator where elements can be chosen more than once.
+     * Choices are yielded in lexicographic order of the positions of their elements.
+     * Elements are only read when needed, so an endless iterator can be used.
+     * @param {number} k Amount of elements in a choice.
+     * @returns {CombinationsIterator} The iterator.
+     */
+    combinationsWithReplacement(k) {
+        checkSubsetSize(k);
+        return new CombinationsIterator(this, k, true);
+    }
+
+    /**
+     * Returns an iterator over every subset of the elements of this iterator, as arrays in the order of the elements.
+     * The subsets of the first n elements all come before any subset with the element after them.
+     * That way, an endless iterator can be used, and every subset is eventually reached.
+     * @returns {PowersetIterator} The iterator.
+     */
+    powerset() {
+        return new PowersetIterator(this);
+    }
+
+    /**
+     * Returns an iterator over the elements in sorted order.
+     * Nothing is sorted until the iterator is first advanced, at which point every element is read into a heap.
+     * Elements are then taken off the heap one at a time, so taking only the first few does not sort everything.
+     * The sort is stable, so equal elements stay in the order they came.
+     * @param {Comparator} [compare] Comparator function, otherwise elements are compared with `<` and `>`.
+     * @returns {SortedIterator} The iterator.
+     */
+    sorted(compare = defaultCompare) {
+        return new SortedIterator(this, compare);
+    }
+
     /**
      * Returns an iterator that repeats this iterator forever.
      * @returns {CycleIterator} The iterator.
@@ -187,7 +650,18 @@ class LazyIterator {
      * @returns {MapIterator} The iterator.
      */
     map(fn) {
-        return new MapIterator(this, fn);
+        return new MapIterator(this, wrapCallback('map', this, fn));
+    }
+
+    /**
+     * Returns an async iterator that maps each element with a function, running several mappings at once.
+     * See the async iterator's mapConcurrent for the options.
+     * @param {AsyncMapping} fn Mapping function.
+     * @param {Object} options Options for the mapping.
+     * @returns {AsyncLazyIterator} The async iterator.
+     */
+    mapConcurrent(fn, options) {
+        return this.toAsync().mapConcurrent(fn, options);
     }
 
     /**
@@ -196,7 +670,44 @@ class LazyIterator {
      * @returns {FilterIterator} The iterator.
      */
     filter(fn) {
-        return new FilterIterator(this, fn);
+        return new FilterIterator(this, wrapCallback('filter', this, fn));
+    }
+
+    /**
+     * Returns an iterator that filters out elements that were already seen.
+     * Elements are compared with SameValueZero, like a Set.
+     * @param {Object} [options] Options for remembering elements.
+     * @param {number} [options.limit=Infinity] Amount of elements to remember, forgetting the least recently seen first.
+     * @returns {UniqueIterator} The iterator.
+     */
+    unique(options) {
+        return this.uniqueBy(x => x, options);
+    }
+
+    /**
+     * Returns an iterator that filters out elements whose key was already seen.
+     * Keys are compared with SameValueZero, like a Set.
+     * A limit can be given so that endless iterators do not remember every key.
+     * @param {Mapping} fn Function returning the key of an element.
+     * @param {Object} [options] Options for remembering keys.
+     * @param {number} [options.limit=Infinity] Amount of keys to remember, forgetting the least recently seen first.
+     * @returns {UniqueIterator} The iterator.
+     */
+    uniqueBy(fn, { limit = Infinity } = {}) {
+        if (!(limit >= 1)) {
+            throw new RangeError('Limit must be a number greater than or equal to 1');
+        }
+
+        return new UniqueIterator(this, wrapCallback('uniqueBy', this, fn), limit);
+    }
+
+    /**
+     * Returns an iterator that filters out elements equal to the element before them.
+     * @param {Equality} [eq] Equality function.
+     * @returns {DedupAdjacentIterator} The iterator.
+     */
+    dedupAdjacent(eq = (a, b) => sameValueZero(a, b)) {
+        return new DedupAdjacentIterator(this, eq);
     }
 
     /**
@@ -208,7 +719,7 @@ class LazyIterator {
      * @returns {ScanIterator} The iterator.
      */
     scan(fn, accum) {
-        return new ScanIterator(this, fn, accum);
+        return new ScanIterator(this, wrapCallback('scan', this, fn, args => args[1]), accum);
     }
 
     /**
@@ -221,6 +732,33 @@ class LazyIterator {
         return new ZipIterator(this, iters.map(iter => LazyIterator.from(iter)));
     }
 
+    /**
+     * Returns an iterator where each iterator is zipped with each other, until all of them are done.
+     * Iterators that are done are padded with a fill value.
+     * Options may be given after the iterators.
+     * @param {Array<Iterator|Iterable>} iters Iterators or iterables.
+     * @param {Object} [options] Options for the padding.
+     * @param {any} [options.fill] Value to pad with.
+     * @param {Array<any>} [options.defaults] Values to pad with per position, used instead of the fill value.
+     * @returns {ZipLongestIterator} The iterator.
+     */
+    zipLongest(...iters) {
+        const [zipIters, { fill, defaults = [] }] = splitOptions(iters);
+        const fills = [this, ...zipIters].map((_, i) => i in defaults ? defaults[i] : fill);
+        return new ZipLongestIterator(this, zipIters.map(iter => LazyIterator.from(iter)), fills);
+    }
+
+    /**
+     * Returns an iterator where each iterator is zipped with each other, combining the elements with a function.
+     * The function is given one element from each iterator, so no tuples are made.
+     * @param {Function} fn Function taking an element from each iterator.
+     * @param {Array<Iterator|Iterable>} iters Iterators or iterables.
+     * @returns {ZipWithIterator} The iterator.
+     */
+    zipWith(fn, ...iters) {
+        return new ZipWithIterator(this, wrapCallback('zipWith', this, fn, args => args), iters.map(iter => LazyIterator.from(iter)));
+    }
+
     /**
      * Returns an iterator that flattens iterators and iterables inside this interator.
      * @param {number} [depth=1] The amount of depth to flatten.
@@ -236,7 +774,7 @@ class LazyIterator {
      * @returns {FlatMapIterator} The iterator.
      */
     flatMap(fn) {
-        return new FlatMapIterator(this, fn);
+        return new FlatMapIterator(this, wrapCallback('flatMap', this, fn));
     }
 
     /**
@@ -264,43 +802,120 @@ class LazyIterator {
      * @returns {EachIterator} The iterator.
      */
     each(fn) {
-        return new EachIterator(this, fn);
+        return new EachIterator(this, wrapCallback('each', this, fn));
     }
 
     /**
-     * Calls a function on each element.
-     * This consumes the iterator.
-     * @param {Consumer} fn Consumer function.
-     * @returns {void} Nothing.
+     * Returns an iterator that handles errors thrown while pulling an element, such as by a callback of an earlier adaptor.
+     * The handler returns an iterator or iterable whose values are yielded in place of the failing element,
+     * so an empty array skips it, and throwing from the handler passes the error on.
+     * Iteration goes on after the failing element if the earlier iterator can go on, which adaptors can but generators cannot.
+     * @param {ErrorHandler} handler Function that handles an error.
+     * @returns {CatchErrorIterator} The iterator.
      */
-    forEach(fn) {
-        for (const value of this) {
-            fn(value);
-        }
+    catchError(handler) {
+        return new CatchErrorIterator(this, handler);
     }
 
     /**
-     * Reduces each element into one single result.
-     * Also known as fold, inject, etc.
-     * This consumes the iterator.
-     * @param {Reducer} fn Reducer function.
-     * @param {any} [accum] The accumulator.
-     * Defaults to the first element in the iterator.
-     * @returns {any} The accumulator.
+     * Returns an iterator that maps each element with a function, recording whether it succeeded.
+     * Each element becomes `{ ok: true, value }` with the mapped value, or `{ ok: false, error }` with the thrown error.
+     * @param {Mapping} fn Mapping function.
+     * @returns {MapIterator} The iterator.
      */
-    reduce(fn, accum) {
-        if (accum === undefined) {
-            const first = this.next();
-            if (first.done) {
-                throw new TypeError('Reduce of empty sequence with no initial value');
+    mapSettled(fn) {
+        return new MapIterator(this, value => {
+            try {
+                return { ok: true, value: fn(value) };
+            } catch (error) {
+                return { ok: false, error };
+            }
+        });
+    }
+
+    /**
+     * Returns an iterator that maps each element with a function, calling it again when it throws.
+     * If every attempt throws, the error from the last attempt is thrown.
+     * @param {Mapping} fn Mapping function.
+     * @param {Object} [options] Options for retrying.
+     * @param {number} [options.attempts=3] Most times to call the function for an element.
+     * @returns {MapIterator} The iterator.
+     */
+    retry(fn, { attempts = 3 } = {}) {
+        checkAttempts(attempts);
+        return new MapIterator(this, wrapCallback('retry', this, value => {
+            for (let i = 1; ; i++) {
+                try {
+                    return fn(value);
+                } catch (err) {
+                    if (i >= attempts) {
+                        throw err;
+                    }
+                }
+            }
+        }));
+    }
+
+    /**
+     * Returns an iterator that logs every pull through it, with what was yielded or thrown and how long it took.
+     * By default, the log is written to stderr.
+     * @param {string} [label='trace'] Label to put before each line.
+     * @param {Object} [options] Options for the log.
+     * @param {Function} [options.log] Function that is given each line.
+     * @returns {TraceIterator} The iterator.
+     */
+    trace(label = 'trace', { log } = {}) {
+        return new TraceIterator(this, label, log);
+    }
+
+    /**
+     * Returns a snapshot of the counts of every stage in the chain that was made while measuring, from the source up.
+     * Each stage has the amount of elements it pulled and emitted, how many it dropped and at what rate,
+     * and the milliseconds spent in its callback.
+     * This does not consume the iterator.
+     * @returns {Object[]} The metrics of each stage.
+     */
+    metrics() {
+        return chainMetrics(this, LazyIterator);
+    }
+
+    /**
+     * Calls a function on each element.
+     * This consumes the iterator.
+     * @param {Consumer} fn Consumer function.
+     * @returns {void} Nothing.
+     */
+    forEach(fn) {
+        const call = withIndex(fn);
+        consume(this, value => {
+            call(value);
+            return true;
+        });
+    }
+
+    /**
+     * Reduces each element into one single result.
+     * Also known as fold, inject, etc.
+     * This consumes the iterator.
+     * @param {Reducer} fn Reducer function.
+     * @param {any} [accum] The accumulator.
+     * Defaults to the first element in the iterator.
+     * @returns {any} The accumulator.
+     */
+    reduce(fn, accum) {
+        if (accum === undefined) {
+            const first = this.next();
+            if (first.done) {
+                throw new TypeError('Reduce of empty sequence with no initial value');
             }
 
             accum = first.value;
         }
 
-        for (const value of this) {
+        consume(this, value => {
             accum = fn(accum, value);
-        }
+            return true;
+        });
 
         return accum;
     }
@@ -327,11 +942,37 @@ class LazyIterator {
 
     /**
      * Sums or concatenates the elements in the iterator.
+     * BigInts are summed as BigInts.
+     * Numbers can be summed with compensated summation instead, which keeps track of the rounding error of each addition.
+     * This is slower, but much more accurate when adding many numbers of different magnitudes.
      * This consumes the iterator.
-     * @returns {number|string} The sum or string.
+     * @param {Object} [options] Options for the sum.
+     * @param {boolean} [options.compensated=false] Whether to use compensated (Kahan-Babuška-Neumaier) summation.
+     * @returns {number|bigint|string} The sum or string.
      */
-    sum() {
-        return this.reduce((a, b) => a + b, 0);
+    sum({ compensated = false } = {}) {
+        const first = this.next();
+        if (first.done) {
+            return 0;
+        }
+
+        // The sum starts at zero, but BigInts cannot be added to it, so a sum of BigInts starts at its first element instead.
+        const start = isBigInt(first.value)
+            ? first.value
+            : 0 + first.value;
+
+        if (!compensated || typeof start !== 'number') {
+            return this.reduce((a, b) => a + b, start);
+        }
+
+        const sum = new CompensatedSum();
+        sum.push(start);
+        consume(this, value => {
+            sum.push(value);
+            return true;
+        });
+
+        return sum.value;
     }
 
     /**
@@ -343,6 +984,139 @@ class LazyIterator {
         return this.reduce((a, b) => a * b, 1);
     }
 
+    /**
+     * Takes the mean of the elements in the iterator.
+     * An empty iterator will return undefined.
+     * This consumes the iterator.
+     * @returns {number} The mean.
+     */
+    mean() {
+        const variance = new RunningVariance();
+        consume(this, value => {
+            variance.push(value);
+            return true;
+        });
+
+        return variance.count
+            ? variance.mean
+            : undefined;
+    }
+
+    /**
+     * Takes the variance of the elements in the iterator, in one pass with Welford's algorithm.
+     * This is the population variance, unless the sample variance is asked for.
+     * Returns undefined if there are not enough elements.
+     * This consumes the iterator.
+     * @param {Object} [options] Options for the variance.
+     * @param {boolean} [options.sample=false] Whether to take the sample variance, dividing by one less than the amount of elements.
+     * @returns {number} The variance.
+     */
+    variance({ sample = false } = {}) {
+        const variance = new RunningVariance();
+        consume(this, value => {
+            variance.push(value);
+            return true;
+        });
+
+        return variance.variance(sample);
+    }
+
+    /**
+     * Takes the standard deviation of the elements in the iterator, in one pass with Welford's algorithm.
+     * This is the population standard deviation, unless the sample standard deviation is asked for.
+     * Returns undefined if there are not enough elements.
+     * This consumes the iterator.
+     * @param {Object} [options] Options for the standard deviation.
+     * @param {boolean} [options.sample=false] Whether to use the sample variance, dividing by one less than the amount of elements.
+     * @returns {number} The standard deviation.
+     */
+    stddev(options) {
+        const variance = this.variance(options);
+        return variance === undefined
+            ? undefined
+            : Math.sqrt(variance);
+    }
+
+    /**
+     * Takes the median of the elements in the iterator.
+     * See `quantiles` for the options.
+     * This consumes the iterator.
+     * @param {Object} [options] Options for the median.
+     * @param {boolean} [options.approximate=false] Whether to estimate the median without holding every element.
+     * @returns {number} The median.
+     */
+    median(options) {
+        const [median] = this.quantiles([0.5], options);
+        return median;
+    }
+
+    /**
+     * Takes quantiles of the elements in the iterator, such as 0.5 for the median or 0.99 for the 99th percentile.
+     * Exact quantiles hold every element, and interpolate between the two closest ones.
+     * Approximate quantiles are estimated with the P² algorithm instead, which only holds five elements per quantile.
+     * An empty iterator will give undefined quantiles.
+     * This consumes the iterator.
+     * @param {number[]} ps Quantiles to take, between 0 and 1.
+     * @param {Object} [options] Options for the quantiles.
+     * @param {boolean} [options.approximate=false] Whether to estimate the quantiles without holding every element.
+     * @returns {number[]} The quantiles.
+     */
+    quantiles(ps, { approximate = false } = {}) {
+        checkProbabilities(ps);
+        if (!approximate) {
+            return exactQuantiles(this.collect(), ps);
+        }
+
+        const sketches = ps.map(p => new QuantileSketch(p));
+        consume(this, value => {
+            for (const sketch of sketches) {
+                sketch.push(value);
+            }
+
+            return true;
+        });
+
+        return sketches.map(sketch => sketch.count
+            ? sketch.value
+            : undefined);
+    }
+
+    /**
+     * Finds the elements that are considered the minimum and the maximum, in one pass.
+     * A mapping can be passed to compare by an associated value.
+     * An empty iterator will return undefined for both.
+     * This consumes the iterator.
+     * @param {Mapping} [fn] Mapping function.
+     * @returns {[any, any]} The minimum and the maximum.
+     */
+    minMax(fn = x => x) {
+        const first = this.next();
+        if (first.done) {
+            return [undefined, undefined];
+        }
+
+        let min = first.value;
+        let max = first.value;
+        let minKey = fn(first.value);
+        let maxKey = minKey;
+        consume(this, value => {
+            const key = fn(value);
+            if (key < minKey) {
+                min = value;
+                minKey = key;
+            }
+
+            if (key > maxKey) {
+                max = value;
+                maxKey = key;
+            }
+
+            return true;
+        });
+
+        return [min, max];
+    }
+
     /**
      * Finds a value in the iterator that passes the predicate.
      * This consumes the iterator until the found value.
@@ -350,13 +1124,55 @@ class LazyIterator {
      * @returns {any} The found value.
      */
     find(fn) {
-        for (const value of this) {
-            if (fn(value)) {
-                return value;
+        const call = withIndex(fn);
+        let found;
+        consume(this, value => {
+            if (call(value)) {
+                found = value;
+                return false;
             }
+
+            return true;
+        });
+
+        return found;
+    }
+
+    /**
+     * Finds a value in the iterator that passes the predicate, searching from the back.
+     * Only double-ended iterators support this.
+     * This consumes the iterator from the back until the found value.
+     * The predicate is only given an index when the length of the iterator is known.
+     * @param {Predicate} fn Predicate function.
+     * @returns {any} The found value.
+     */
+    rfind(fn) {
+        const length = takesIndex(fn) ? this.len() : undefined;
+        if (length === undefined) {
+            return this.rev().find(value => fn(value));
+        }
+
+        return this.rev().find((value, i) => fn(value, length - i - 1));
+    }
+
+    /**
+     * Finds the index of the value in the iterator that passes the predicate, searching from the back.
+     * The index is counted from the front.
+     * Only double-ended iterators with a known length support this.
+     * This consumes the iterator from the back until the found value.
+     * @param {Predicate} fn Predicate function.
+     * @returns {number} The found index.
+     */
+    rposition(fn) {
+        const length = this.len();
+        if (length === undefined) {
+            throw new TypeError('Iterator does not have a known length');
         }
 
-        return undefined;
+        const index = this.rev().findIndex((value, i) => fn(value, length - i - 1));
+        return index === -1
+            ? -1
+            : length - index - 1;
     }
 
     /**
@@ -367,15 +1183,18 @@ class LazyIterator {
      */
     findIndex(fn) {
         let i = 0;
-        for (const value of this) {
-            if (fn(value)) {
-                return i;
+        let found = -1;
+        consume(this, value => {
+            if (fn(value, i)) {
+                found = i;
+                return false;
             }
 
             i++;
-        }
+            return true;
+        });
 
-        return -1;
+        return found;
     }
 
     /**
@@ -386,19 +1205,14 @@ class LazyIterator {
      * @returns {boolean} Whether the value was found.
      */
     includes(searchElement, from = 0) {
-        let i = 0;
-        for (const value of this) {
-            if (i < from) {
-                i++;
-                continue;
-            }
-
-            if (sameValueZero(searchElement, value)) {
-                return true;
-            }
-        }
+        this.advanceBy(from);
+        let found = false;
+        consume(this, value => {
+            found = sameValueZero(searchElement, value);
+            return !found;
+        });
 
-        return false;
+        return found;
     }
 
     /**
@@ -408,13 +1222,14 @@ class LazyIterator {
      * @returns {boolean} Whether all elements passed or not.
      */
     every(fn) {
-        for (const value of this) {
-            if (!fn(value)) {
-                return false;
-            }
-        }
+        const call = withIndex(fn);
+        let passed = true;
+        consume(this, value => {
+            passed = Boolean(call(value));
+            return passed;
+        });
 
-        return true;
+        return passed;
     }
 
     /**
@@ -424,13 +1239,14 @@ class LazyIterator {
      * @returns {boolean} Whether one element passed or not.
      */
     some(fn) {
-        for (const value of this) {
-            if (fn(value)) {
-                return true;
-            }
-        }
+        const call = withIndex(fn);
+        let passed = false;
+        consume(this, value => {
+            passed = Boolean(call(value));
+            return !passed;
+        });
 
-        return false;
+        return passed;
     }
 
     /**
@@ -448,11 +1264,13 @@ class LazyIterator {
         }
 
         max = first.value;
-        for (const value of this) {
+        consume(this, value => {
             if (fn(value) > fn(max)) {
                 max = value;
             }
-        }
+
+            return true;
+        });
 
         return max;
     }
@@ -472,11 +1290,13 @@ class LazyIterator {
         }
 
         min = first.value;
-        for (const value of this) {
+        consume(this, value => {
             if (fn(value) < fn(min)) {
                 min = value;
             }
-        }
+
+            return true;
+        });
 
         return min;
     }
@@ -495,11 +1315,13 @@ class LazyIterator {
         }
 
         max = first.value;
-        for (const value of this) {
+        consume(this, value => {
             if (fn(value, max) > 0) {
                 max = value;
             }
-        }
+
+            return true;
+        });
 
         return max;
     }
@@ -518,15 +1340,88 @@ class LazyIterator {
         }
 
         min = first.value;
-        for (const value of this) {
+        consume(this, value => {
             if (fn(value, min) < 0) {
                 min = value;
             }
-        }
+
+            return true;
+        });
 
         return min;
     }
 
+    /**
+     * Finds the greatest elements, from greatest to least.
+     * Only the given amount of elements are held at a time, in a heap.
+     * Equal elements are kept and ordered as they came.
+     * This consumes the iterator.
+     * @param {number} k Amount of elements to find.
+     * @param {Comparator} [compare] Comparator function, otherwise elements are compared with `<` and `>`.
+     * @returns {any[]} The greatest elements.
+     */
+    topK(k, compare = defaultCompare) {
+        if (!Number.isInteger(k) || k < 0) {
+            throw new RangeError('Amount must be an integer greater than or equal to 0');
+        }
+
+        // The heap has the least element on top, with later elements less than earlier equal ones.
+        const compareEntries = (a, b) => compare(a.value, b.value) || b.index - a.index;
+        const heap = new Heap(compareEntries);
+        if (k > 0) {
+            let index = 0;
+            consume(this, value => {
+                const entry = { value, index: index++ };
+                if (heap.size < k) {
+                    heap.push(entry);
+                } else if (compareEntries(entry, heap.peek()) > 0) {
+                    heap.replaceTop(entry);
+                }
+
+                return true;
+            });
+        }
+
+        const top = new Array(heap.size);
+        for (let i = top.length - 1; i >= 0; i--) {
+            top[i] = heap.pop().value;
+        }
+
+        return top;
+    }
+
+    /**
+     * Finds the least elements, from least to greatest.
+     * Only the given amount of elements are held at a time, in a heap.
+     * Equal elements are kept and ordered as they came.
+     * This consumes the iterator.
+     * @param {number} k Amount of elements to find.
+     * @param {Comparator} [compare] Comparator function, otherwise elements are compared with `<` and `>`.
+     * @returns {any[]} The least elements.
+     */
+    bottomK(k, compare = defaultCompare) {
+        return this.topK(k, (a, b) => compare(b, a));
+    }
+
+    /**
+     * Collects the iterator into an array sorted by a key of each element.
+     * The sort is stable, so elements with equal keys stay in the order they came.
+     * This consumes the iterator.
+     * @param {Mapping} fn Function returning the key of an element.
+     * @param {Comparator} [compare] Comparator function for keys, otherwise keys are compared with `<` and `>`.
+     * @returns {any[]} The sorted array.
+     */
+    sortedBy(fn, compare = defaultCompare) {
+        const entries = [];
+        consume(this, value => {
+            entries.push({ key: fn(value), value, index: entries.length });
+            return true;
+        });
+
+        entries.sort((a, b) => compare(a.key, b.key) || a.index - b.index);
+        return entries.map(entry => entry.value);
+    }
+
     /**
      * Collects the iterator into a collection.
      * Defaults to an array.
@@ -536,10 +1431,26 @@ class LazyIterator {
      * @returns {any} The collection.
      */
     collect(cons = consFunctions.Array, extend = extendFunctions.Array) {
+        if (cons === consFunctions.Array && extend === extendFunctions.Array) {
+            const length = this.len();
+            if (Number.isSafeInteger(length) && length >= 0) {
+                const arr = new Array(length);
+                let i = 0;
+                consume(this, value => {
+                    arr[i++] = value;
+                    return true;
+                });
+
+                arr.length = i;
+                return arr;
+            }
+        }
+
         let coll = cons();
-        for (const value of this) {
+        consume(this, value => {
             coll = extend(coll, value);
-        }
+            return true;
+        });
 
         return coll;
     }
@@ -558,13 +1469,15 @@ class LazyIterator {
     partition(fn, cons = consFunctions.Array, extend = extendFunctions.Array) {
         let left = cons();
         let right = cons();
-        for (const value of this) {
+        consume(this, value => {
             if (fn(value)) {
                 left = extend(left, value);
             } else {
                 right = extend(right, value);
             }
-        }
+
+            return true;
+        });
 
         return [left, right];
     }
@@ -603,11 +1516,13 @@ class LazyIterator {
             }
         }
 
-        for (const value of this) {
+        consume(this, value => {
             for (let i = 0; i < length; i++) {
                 colls[i] = extend(colls[i], value[i]);
             }
-        }
+
+            return true;
+        });
 
         return colls;
     }
@@ -633,7 +1548,7 @@ class LazyIterator {
 
         prev = first.value;
         accum = extend(accum, first.value);
-        for (const value of this) {
+        consume(this, value => {
             if (eq(prev, value)) {
                 accum = extend(accum, value);
                 prev = value;
@@ -643,7 +1558,9 @@ class LazyIterator {
                 accum = extend(accum, value);
                 prev = value;
             }
-        }
+
+            return true;
+        });
 
         arr.push(accum);
         return arr;
@@ -661,39 +1578,82 @@ class LazyIterator {
      */
     categorize(fn, cons = consFunctions.Array, extend = extendFunctions.Array) {
         const map = new Map();
-        for (const value of this) {
+        consume(this, value => {
             const cat = fn(value);
             if (!map.has(cat)) {
                 map.set(cat, cons());
             }
 
             map.set(cat, extend(map.get(cat), value));
-        }
+            return true;
+        });
 
         return map;
     }
 
     /**
      * Clones the iterator.
-     * This consumes the current iterator and recreates it.
+     * This consumes the current iterator and recreates it, so use `tee` for endless iterators.
      * @returns {LazyIterator} The cloned iterator.
      */
     clone() {
         const cache = this.collectArray();
-        this.iterator = cache[Symbol.iterator]();
-        return new LazyIterator(cache[Symbol.iterator]());
+        this.iterator = new ArraySource(cache);
+        this.closed = false;
+        return LazyIterator.from(cache);
     }
 
     /**
      * Clones the iterator multiples times.
-     * This consumes the current iterator and recreates it.
+     * This consumes the current iterator and recreates it, so use `tee` for endless iterators.
      * @param {number} amount Amount of times to clone.
      * @returns {LazyIterator[]} The cloned iterators.
      */
     cloneMany(amount) {
         const cache = this.collectArray();
-        this.iterator = cache[Symbol.iterator]();
-        return Array.from({ length: amount }, () => new LazyIterator(cache[Symbol.iterator]()));
+        this.iterator = new ArraySource(cache);
+        this.closed = false;
+        return Array.from({ length: amount }, () => LazyIterator.from(cache));
+    }
+
+    /**
+     * Splits the iterator into some amount of iterators that each yield all of its values.
+     * Values are pulled from this iterator as the furthest ahead of them needs them,
+     * and are only buffered until the furthest behind of them has passed them, so this works on endless iterators.
+     * This iterator is closed once all of them are closed.
+     * @param {number} [amount=2] Amount of iterators to make.
+     * @param {Object} [options] Options for the buffer.
+     * @param {number} [options.maxBuffer=Infinity] Most values to buffer, past which pulling further ahead throws a RangeError.
+     * @returns {LazyIterator[]} The iterators.
+     */
+    tee(amount = 2, { maxBuffer = Infinity } = {}) {
+        if (!Number.isInteger(amount) || amount < 1) {
+            throw new RangeError('Tee amount must be an integer greater than or equal to 1');
+        }
+
+        const buffer = new TeeBuffer(this, amount, maxBuffer);
+        return Array.from({ length: amount }, (_, branch) => new LazyIterator(new TeeSource(buffer, branch)));
+    }
+
+    /**
+     * Caches the values of the iterator as they are pulled, in a sequence that can be iterated many times.
+     * This iterator is only pulled as far as the furthest iterator of the sequence has gone,
+     * and the others replay the values from the cache.
+     * Closing an iterator of the sequence early does not close this iterator, since the others may still read it.
+     * @returns {LazySeq} The sequence.
+     */
+    memoize() {
+        const cache = new MemoCache(this);
+        return new LazySeq(() => new LazyIterator(new MemoSource(cache)));
+    }
+
+    /**
+     * Converts the iterator into an async lazy iterator.
+     * The async iterator takes over this iterator.
+     * @returns {AsyncLazyIterator} The async iterator.
+     */
+    toAsync() {
+        return AsyncLazyIterator.from(this);
     }
 
     /**
@@ -714,12 +1674,36 @@ class LazyIterator {
         return val != null && val[Symbol.iterator] != null;
     }
 
+    /**
+     * Checks if a value is a double-ended iterator.
+     * @param {any} val Value to check.
+     * @returns {boolean} Whether the value is a double-ended iterator.
+     */
+    static isDoubleEnded(val) {
+        return val instanceof LazyIterator
+            ? val.doubleEnded
+            : val != null && typeof val.nextBack === 'function';
+    }
+
     /**
      * Creates a lazy iterator from an iterator or iterable.
+     * Arrays and strings create double-ended iterators, and ranges are copied.
      * @param {Iterator|Iterable} iter Iterator or iterable.
      * @returns {LazyIterator} The iterator.
      */
     static from(iter) {
+        if (Array.isArray(iter)) {
+            return new LazyIterator(new ArraySource(iter));
+        }
+
+        if (typeof iter === 'string') {
+            return new LazyIterator(new StringSource(iter));
+        }
+
+        if (iter instanceof Range) {
+            return iter.clone();
+        }
+
         if (LazyIterator.isIterator(iter)) {
             return new LazyIterator(iter);
         }
@@ -737,57 +1721,149 @@ class LazyIterator {
     }
 
     /**
-     * Creates a lazy iterator for a sequence of items.
-     * @param {any[]} items Items to yield.
-     * @returns {LazyIterator} The iterator.
+     * Creates an async lazy iterator from an async iterator or iterable.
+     * Sync iterators and iterables are also accepted.
+     * @param {AsyncIterator|AsyncIterable|Iterator|Iterable} iter Iterator or iterable.
+     * @returns {AsyncLazyIterator} The async iterator.
      */
-    static of(...items) {
-        return new LazyIterator(items[Symbol.iterator]());
+    static fromAsync(iter) {
+        return AsyncLazyIterator.from(iter);
     }
 
     /**
-     * Generates an iterator yielding a range of integers.
-     * @param {number} [start=0] The start value.
-     * @param {number} [end=Infinity] The end value.
-     * @param {number} [step=1] The step value.
-     * @param {boolean} [inclusive=false] Whether or not this is an inclusive range.
-     * @returns {LazyIterator} The iterator.
+     * Turns tracing of every iterator on or off, for both sync and async iterators.
+     * When on, every iterator made logs its pulls like with `trace`, labelled with its stage in the chain,
+     * and consumers pull element by element instead of fusing stages, so that every stage is logged.
+     * @param {boolean} [enabled=true] Whether to trace every iterator.
+     * @param {Object} [options] Options for the log.
+     * @param {Function} [options.log] Function that is given each line, by default writing to stderr.
+     * @returns {void} Nothing.
      */
-    static range(start = 0, end = Infinity, step = 1, inclusive = false) {
-        if (inclusive) {
-            return new LazyIterator(function* range() {
-                for (let i = start; i <= end; i += step) {
-                    yield i;
-                }
-            }());
-        }
-
-        return new LazyIterator(function* range() {
-            for (let i = start; i < end; i += step) {
-                yield i;
-            }
-        }());
+    static debug(enabled = true, { log = writeLine } = {}) {
+        debugging.enabled = enabled;
+        debugging.log = log;
     }
 
     /**
-     * Creates an iterator that yields an item for a certain amount of times.
-     * @param {any} item Item to yield.
-     * @param {number} [amount=Infinity] Amount of times to repeat.
-     * @returns {LazyIterator} The iterator.
+     * Turns measuring of every iterator on or off, for both sync and async iterators.
+     * When on, every iterator made counts the elements it emits and the time spent in its callback, which `metrics` reports,
+     * and consumers pull element by element instead of fusing stages, so that every stage is counted.
+     * @param {boolean} [enabled=true] Whether to measure every iterator.
+     * @param {Object} [options] Options for measuring.
+     * @param {Function} [options.onStage] Function that is given the metrics of each stage once it is done or closed.
+     * @returns {void} Nothing.
      */
-    static repeat(item, amount = Infinity) {
-        return new LazyIterator(function* repeat() {
-            for (let i = 0; i < amount; i++) {
-                yield item;
-            }
-        }());
+    static measure(enabled = true, { onStage = null } = {}) {
+        measuring.enabled = enabled;
+        measuring.onStage = onStage;
     }
 
     /**
-     * Creates an iterator that repeatedly yields the result of a function.
-     * @param {Generating} fn Generating function.
-     * @param {number} [amount=Infinity] Amount of times to repeat.
-     * @returns {LazyIterator} The iterator.
+     * Turns wrapping of errors thrown by callbacks of adaptors on or off, for both sync and async iterators.
+     * When on, such an error is thrown as a `StageError` that names the adaptor, its position in the chain,
+     * the index of the failing element and a preview of it, with the original error as its cause.
+     * This only affects adaptors made while it is on, and adds a little overhead to their callbacks.
+     * @param {boolean} [enabled=true] Whether to wrap errors.
+     * @returns {void} Nothing.
+     */
+    static wrapErrors(enabled = true) {
+        stageErrors.enabled = enabled;
+    }
+
+    /**
+     * The class of errors thrown by callbacks of adaptors when `wrapErrors` is on.
+     * @type {Function}
+     * @readonly
+     */
+    static get StageError() {
+        return StageError;
+    }
+
+    /**
+     * Creates a sequence that makes a new lazy iterator from a function every time it is iterated.
+     * Its adaptors make new sequences, so a pipeline can be defined once and iterated many times.
+     * @param {Function} factory Function that returns an iterator or iterable.
+     * @returns {LazySeq} The sequence.
+     */
+    static seq(factory) {
+        if (typeof factory !== 'function') {
+            throw new TypeError('Sequence factory must be a function');
+        }
+
+        return new LazySeq(factory);
+    }
+
+    /**
+     * Creates a sequence that makes a new async lazy iterator from a function every time it is iterated.
+     * @param {Function} factory Function that returns an async or sync iterator or iterable.
+     * @returns {AsyncLazySeq} The sequence.
+     */
+    static seqAsync(factory) {
+        return AsyncLazyIterator.seq(factory);
+    }
+
+    /**
+     * Creates a lazy iterator for a sequence of items.
+     * @param {any[]} items Items to yield.
+     * @returns {LazyIterator} The iterator.
+     */
+    static of(...items) {
+        return new LazyIterator(new ArraySource(items));
+    }
+
+    /**
+     * Generates an iterator yielding a range of numbers.
+     * Each value is computed as `start + i * step`, so fractional steps do not add up rounding errors.
+     * The step can be negative to count down, and the range is endless if there is no end in that direction.
+     * BigInts can be used instead of numbers, in which case the start, end and step must all be BigInts.
+     * @param {number|bigint} [start=0] The start value.
+     * @param {number|bigint} [end] The end value, defaults to endless.
+     * @param {number|bigint} [step=1] The step value, which cannot be zero.
+     * @param {boolean} [inclusive=false] Whether or not this is an inclusive range.
+     * @returns {Range} The range, which can answer questions about its values without iterating.
+     */
+    static range(start = 0, end, step = isBigInt(start) ? BigInt(1) : 1, inclusive = false) {
+        const bigInt = isBigInt(start);
+        const endless = end === undefined || end === Infinity || end === -Infinity;
+        if (isBigInt(step) !== bigInt || (!endless && isBigInt(end) !== bigInt)) {
+            throw new TypeError('Range values must be either all numbers or all BigInts');
+        }
+
+        if (!step) {
+            throw new RangeError('Range step must not be zero');
+        }
+
+        const ascending = step > 0;
+        if (endless && (end === undefined || (end === Infinity) === ascending)) {
+            return new Range(rangeSource(start, step, Infinity));
+        }
+
+        if (bigInt) {
+            const length = endless
+                ? BigInt(0)
+                : bigIntRangeLength(start, end, step, inclusive);
+            return new Range(rangeSource(start, step, length));
+        }
+
+        return new Range(rangeSource(start, step, rangeLength(start, end, step, inclusive)));
+    }
+
+    /**
+     * Creates an iterator that yields an item for a certain amount of times.
+     * Fractional amounts are rounded up, and negative amounts yield nothing.
+     * @param {any} item Item to yield.
+     * @param {number} [amount=Infinity] Amount of times to repeat.
+     * @returns {LazyIterator} The iterator.
+     */
+    static repeat(item, amount = Infinity) {
+        return new LazyIterator(new RepeatSource(item, amount));
+    }
+
+    /**
+     * Creates an iterator that repeatedly yields the result of a function.
+     * @param {Generating} fn Generating function.
+     * @param {number} [amount=Infinity] Amount of times to repeat.
+     * @returns {LazyIterator} The iterator.
      */
     static repeatWith(fn, amount = Infinity) {
         return new LazyIterator(function* repeatWith() {
@@ -812,86 +1888,518 @@ class LazyIterator {
             }
         }());
     }
+
+    /**
+     * Creates a lazy iterator that merges iterators, all of which are already sorted.
+     * Elements are yielded in sorted order, and equal elements in the order of the iterators they came from.
+     * @param {Iterable<Iterator|Iterable>} iters Iterators or iterables to merge.
+     * @param {Comparator} [compare] Comparator function, otherwise elements are compared with `<` and `>`.
+     * @returns {LazyIterator} The iterator.
+     */
+    static mergeSorted(iters, compare = defaultCompare) {
+        const [first = [], ...rest] = iters;
+        return LazyIterator.from(first).mergeSorted(...rest, compare);
+    }
+
+    /**
+     * Creates a lazy iterator over the cartesian product of iterators, as arrays with one element from each.
+     * Arrays are yielded in lexicographic order, so the last iterator changes the fastest.
+     * Only the first iterator is not buffered.
+     * When an iterator after the first is endless, this order would never move on, so the arrays are yielded in diagonal order instead.
+     * That is, by the sum of the positions of their elements, which reaches every array eventually.
+     * This is only done by default for iterators known to be endless, like endless ranges,
+     * so endless iterators of unknown size, like generators, need the `diagonal` option.
+     * Options may be given after the iterators to choose the order.
+     * @param {Array<Iterator|Iterable>} iters Iterators or iterables.
+     * @param {Object} [options] Options for the product.
+     * @param {boolean} [options.diagonal] Whether to use diagonal order, by default only if an iterator after the first is known to be endless.
+     * @returns {LazyIterator} The iterator.
+     */
+    static product(...iters) {
+        const [productIters, options] = splitOptions(iters);
+        if (!productIters.length) {
+            return LazyIterator.of([]);
+        }
+
+        const [first, ...rest] = productIters.map(iter => LazyIterator.from(iter));
+        const { diagonal = rest.some(iter => iter.sizeHint()[0] === Infinity) } = options;
+        return new ProductIterator(first, rest, diagonal);
+    }
 }
 
-const sameValueZero = (a, b) => {
-    if (a === 0 && b === 0) {
-        return 1 / a === 1 / b;
+defineCollectionMethods(LazyIterator);
+
+// Traces or measures an iterator made while debugging or measuring.
+// Its consumers pull with `next`, since driving a source or fusing stages would skip the trace and the counts.
+const instrumentIterator = iter => {
+    if (debugging.enabled) {
+        iter.next = traceNext(() => stageName(iter, LazyIterator), iter.next.bind(iter), debugging.log);
     }
 
-    if (a === b) {
-        return true;
+    if (measuring.enabled) {
+        measureIterator(iter, LazyIterator);
+    }
+
+    iter.drive = Adaptor.prototype.drive;
+};
+
+// The position of an adaptor made from an iterator, counting the iterators below it.
+const chainPosition = iter => {
+    let position = 0;
+    for (let link = iter; link instanceof LazyIterator; link = link.iterator) {
+        position++;
+    }
+
+    return position;
+};
+
+// Wraps a callback given to an adaptor made from an iterator, if stage errors are enabled or callbacks are being timed.
+const wrapCallback = (stage, iter, fn, pick) => {
+    const wrapped = stageErrors.enabled
+        ? stageCallback(stage, chainPosition(iter), fn, pick)
+        : fn;
+
+    return measuring.enabled
+        ? timeCallback(wrapped)
+        : wrapped;
+};
+
+const closeIterator = iter => {
+    if (iter != null && typeof iter.return === 'function') {
+        iter.return();
+    }
+};
+
+// Drives an iterator like a for-of loop would, closing it if the sink stops early or throws.
+const consume = (iter, sink) => {
+    let exhausted;
+    try {
+        exhausted = iter.drive(sink);
+    } catch (err) {
+        iter.return();
+        throw err;
     }
 
-    return isNaN(a) && isNaN(b);
+    if (!exhausted) {
+        iter.return();
+    }
 };
 
-const consFunctions = {
-    Array: () => {
-        return [];
-    },
-    Set: () => {
-        return new Set();
-    },
-    Map: () => {
-        return new Map();
-    },
-    String: () => {
-        return '';
+// The amount of steps is rounded if it is only off from an integer by rounding errors, like with 0.3 / 0.1.
+const rangeLength = (start, end, step, inclusive) => {
+    let steps = (end - start) / step;
+    const nearest = Math.round(steps);
+    if (Math.abs(steps - nearest) <= Number.EPSILON * 4 * Math.max(Math.abs(steps), 1)) {
+        steps = nearest;
     }
+
+    const length = inclusive
+        ? Math.floor(steps) + 1
+        : Math.ceil(steps);
+
+    return Math.max(length, 0);
+};
+
+// BigInt division rounds towards zero, so it is corrected to round down.
+const floorDivide = (a, b) => {
+    const quotient = a / b;
+    return quotient * b !== a && (a < 0) !== (b < 0)
+        ? quotient - BigInt(1)
+        : quotient;
+};
+
+const bigIntRangeLength = (start, end, step, inclusive) => {
+    const length = inclusive
+        ? floorDivide(end - start, step) + BigInt(1)
+        : -floorDivide(start - end, step);
+
+    return length > 0
+        ? length
+        : BigInt(0);
 };
 
-const extendFunctions = {
-    Array: (c, i) => {
-        c.push(i);
-        return c;
-    },
-    Set: (c, i) => {
-        c.add(i);
-        return c;
-    },
-    Map: (c, i) => {
-        c.set(i[0], i[1]);
-        return c;
-    },
-    String: (c, i) => {
-        return c + i;
+// Picks the source for a range of some length from its first value, where an endless range has a length of Infinity.
+const rangeSource = (first, step, length) => {
+    if (length === Infinity) {
+        return isBigInt(step)
+            ? new BigIntCountSource(first, step)
+            : new CountSource(first, step);
     }
+
+    return isBigInt(step)
+        ? new BigIntRangeSource(first, step, length)
+        : new RangeSource(first, step, length);
 };
 
-for (const type of ['Array', 'Set', 'Map', 'String']) {
-    const fnName = `collect${type}`;
-    Object.defineProperty(LazyIterator.prototype, fnName, {
+/**
+ * A lazy iterator over a range of numbers or BigInts, as returned by `LazyIterator.range`.
+ * Its values are known without iterating, so `length`, `includes`, `at`, `reverse`, `stepBy` and `slice`
+ * are computed from the values that are left, and do not advance the range.
+ * Looping over a range, and every other adaptor and consumer, starts from a copy of it, so it can be used many times.
+ * Only `next`, `nextBack`, `peek`, `advanceBy` and `return` advance the range itself.
+ * @extends LazyIterator
+ */
+class Range extends LazyIterator {
+    [Symbol.iterator]() {
+        return this.clone();
+    }
+
+    // The position of the first value left in the source, which is behind the source if a value was peeked.
+    get front() {
+        return this.peeked && !this.peekedAt.done
+            ? this.iterator.front - this.index(1)
+            : this.iterator.front;
+    }
+
+    /**
+     * The amount of values left in the range.
+     * This is a BigInt for ranges of BigInts, and Infinity for endless ranges.
+     * @type {number|bigint}
+     * @readonly
+     */
+    get length() {
+        if (this.closed) {
+            return this.index(0);
+        }
+
+        const { back } = this.iterator;
+        return back === Infinity
+            ? Infinity
+            : back - this.front;
+    }
+
+    // Converts a position to the type of the range's values.
+    index(i) {
+        return isBigInt(this.iterator.step)
+            ? BigInt(i)
+            : i;
+    }
+
+    // The value at a position that is known to be in the range.
+    valueAt(i) {
+        const { start, step } = this.iterator;
+        return start + ((this.front + i) * step);
+    }
+
+    /**
+     * Checks if a value is in the range, without iterating.
+     * @param {any} searchElement Value to look for inclusion.
+     * @param {number} [from=0] Index to search from.
+     * @returns {boolean} Whether the value is in the range.
+     */
+    includes(searchElement, from = 0) {
+        const { step } = this.iterator;
+        if (isBigInt(searchElement) !== isBigInt(step) || this.length <= 0) {
+            return false;
+        }
+
+        const distance = searchElement - this.valueAt(this.index(0));
+        let i;
+        if (isBigInt(step)) {
+            if (distance % step !== BigInt(0)) {
+                return false;
+            }
+
+            i = distance / step;
+        } else {
+            i = Math.round(distance / step);
+            if (!Number.isFinite(i)) {
+                return false;
+            }
+        }
+
+        return i >= 0 && i >= from && i < this.length && sameValueZero(this.valueAt(i), searchElement);
+    }
+
+    /**
+     * Returns the value at a certain position, without iterating.
+     * @param {number|bigint} index Position of value.
+     * @returns {number|bigint|void} The value at the given position, or undefined if it is out of the range.
+     */
+    at(index) {
+        if (!(Number.isInteger(index) || (isBigInt(index) && isBigInt(this.iterator.step))) || index < 0 || index >= this.length) {
+            return undefined;
+        }
+
+        return this.valueAt(this.index(index));
+    }
+
+    /**
+     * Returns the range of the values left in reverse.
+     * Endless ranges cannot be reversed.
+     * @returns {Range} The reversed range.
+     */
+    reverse() {
+        const { length } = this;
+        if (length === Infinity) {
+            throw new TypeError('Endless ranges cannot be reversed');
+        }
+
+        const { step } = this.iterator;
+        const last = length > 0
+            ? this.valueAt(length - this.index(1))
+            : this.iterator.start;
+
+        return new Range(rangeSource(last, -step, length));
+    }
+
+    /**
+     * Returns the range of every some amount of the values left, starting at the first.
+     * @param {number} stepSize Interval to step by, which must be a positive integer.
+     * @returns {Range} The stepped range.
+     */
+    stepBy(stepSize) {
+        if (!Number.isInteger(stepSize) || stepSize < 1) {
+            throw new RangeError('Step size must be a positive integer');
+        }
+
+        const { length } = this;
+        const size = this.index(stepSize);
+        let stepped = length;
+        if (length !== Infinity) {
+            stepped = isBigInt(length)
+                ? (length + size - BigInt(1)) / size
+                : Math.ceil(length / size);
+        }
+
+        return new Range(rangeSource(this.valueAt(this.index(0)), this.iterator.step * size, stepped));
+    }
+
+    /**
+     * Returns the range of some of the values left, like slicing an array.
+     * Negative positions count from the end, which endless ranges do not have.
+     * @param {number|bigint} [start=0] Position to start at.
+     * @param {number|bigint} [end] Position to end before, defaults to the end of the range.
+     * @returns {Range} The sliced range.
+     */
+    slice(start = 0, end = Infinity) {
+        const { length } = this;
+        const zero = this.index(0);
+        const clamp = position => {
+            if (position === Infinity) {
+                return length;
+            }
+
+            const i = this.index(position);
+            if (i >= 0) {
+                return i < length ? i : length;
+            }
+
+            if (length === Infinity) {
+                throw new RangeError('Endless ranges cannot be sliced from the end');
+            }
+
+            return length + i > 0 ? length + i : zero;
+        };
+
+        const from = clamp(start);
+        const to = clamp(end);
+        if (from === Infinity || !(to > from)) {
+            return new Range(rangeSource(this.iterator.start, this.iterator.step, zero));
+        }
+
+        return new Range(rangeSource(this.valueAt(from), this.iterator.step, to === Infinity ? Infinity : to - from));
+    }
+
+    /**
+     * Clones the range, without iterating.
+     * @returns {Range} The cloned range.
+     */
+    clone() {
+        return this.slice();
+    }
+
+    /**
+     * Clones the range multiple times, without iterating.
+     * @param {number} amount Amount of times to clone.
+     * @returns {Range[]} The cloned ranges.
+     */
+    cloneMany(amount) {
+        return Array.from({ length: amount }, () => this.clone());
+    }
+}
+
+// Methods of a range that pull from it directly, rather than from a copy.
+const rangePullMethods = ['constructor', 'next', 'nextBack', 'peek', 'return', 'throw', 'advanceBy', 'drive', 'sizeHint', 'len', 'metrics'];
+
+for (const name of Object.getOwnPropertyNames(LazyIterator.prototype)) {
+    const { value } = Object.getOwnPropertyDescriptor(LazyIterator.prototype, name);
+    if (typeof value !== 'function' || rangePullMethods.includes(name) || Object.prototype.hasOwnProperty.call(Range.prototype, name)) {
+        continue;
+    }
+
+    Object.defineProperty(Range.prototype, name, {
         value: {
-            // eslint-disable-next-line func-names
-            [fnName]: function () {
-                return this.collect(consFunctions[type], extendFunctions[type]);
+            [name](...args) {
+                return value.apply(this.clone(), args);
             }
-        }[fnName],
+        }[name],
         writable: true,
         enumerable: false,
         configurable: true
     });
 }
 
-for (const method of ['partition', 'unzip', 'group', 'categorize']) {
-    for (const type of ['Array', 'Set', 'Map', 'String']) {
-        const fnName = `${method}${type}`;
-        Object.defineProperty(LazyIterator.prototype, fnName, {
-            value: {
-                // eslint-disable-next-line func-names
-                [fnName]: function (a1) {
-                    return this[method](a1, consFunctions[type], extendFunctions[type]);
-                }
-            }[fnName],
-            writable: true,
-            enumerable: false,
-            configurable: true
-        });
+/**
+ * A re-iterable sequence, as returned by `LazyIterator.seq`.
+ * Every loop over it, and every consumer called on it, starts from a new lazy iterator made by its factory.
+ * It has the same adaptors as a lazy iterator, which return a new sequence that applies the adaptor to each new iterator,
+ * and the same consumers, which consume a new iterator.
+ * Iterators given to its adaptors are still only iterated once, so give sequences or other iterables to reuse them.
+ */
+class LazySeq {
+    /**
+     * Makes a sequence from a function that makes its iterators.
+     * @param {Function} factory Function that returns an iterator or iterable.
+     */
+    constructor(factory) {
+        this.factory = factory;
+    }
+
+    [Symbol.iterator]() {
+        return this.iter();
+    }
+
+    /**
+     * Makes a new lazy iterator over the sequence.
+     * @returns {LazyIterator} The iterator.
+     */
+    iter() {
+        return LazyIterator.from(this.factory());
+    }
+}
+
+defineSeqMethods(LazySeq, LazyIterator, [
+    'rev', 'stepBy', 'skip', 'take', 'skipWhile', 'takeWhile', 'chunk', 'windows', 'enumerate', 'concat',
+    'interleave', 'roundRobin', 'mergeSorted', 'union', 'intersect', 'difference', 'symmetricDifference',
+    'hashUnion', 'hashIntersect', 'hashDifference', 'hashSymmetricDifference', 'permutations', 'combinations',
+    'combinationsWithReplacement', 'powerset', 'sorted', 'cycle', 'map', 'filter', 'unique', 'uniqueBy',
+    'dedupAdjacent', 'scan', 'zip', 'zipLongest', 'zipWith', 'flat', 'flatMap', 'join', 'joinWith', 'each',
+    'catchError', 'mapSettled', 'retry', 'trace'
+]);
+
+// Gives a callback the index of each element too, counting from the first call.
+// Callbacks that only take the element are used as they are.
+const withIndex = fn => {
+    if (!takesIndex(fn)) {
+        return fn;
+    }
+
+    let index = 0;
+    return value => fn(value, index++);
+};
+
+const isExactDoubleEnded = iter => iter.doubleEnded && iter.len() !== undefined;
+
+// Base for iterators that adapt another lazy iterator.
+// Adaptors are not double-ended and have no known size unless they say otherwise.
+class Adaptor extends LazyIterator {
+    get doubleEnded() {
+        return false;
+    }
+
+    nextBack() {
+        throw new TypeError('Iterator is not double-ended');
+    }
+
+    sizeHint() {
+        return [0, Infinity];
+    }
+
+    advanceBy(amount) {
+        let advanced = 0;
+        while (advanced < amount && !this.next().done) {
+            advanced++;
+        }
+
+        return advanced;
+    }
+
+    drive(sink) {
+        for (let item = this.next(); !item.done; item = this.next()) {
+            if (!sink(item.value)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+}
+
+class RevIterator extends Adaptor {
+    get doubleEnded() {
+        return true;
+    }
+
+    next() {
+        return this.iterator.nextBack();
+    }
+
+    nextBack() {
+        return this.iterator.next();
+    }
+
+    sizeHint() {
+        return this.iterator.sizeHint();
+    }
+}
+
+// Base for stateless adaptors: map, filter, each, skipWhile and takeWhile.
+// When consumed, a run of these is fused into one sink function that the first other iterator below drives,
+// rather than every element going through a `next` call per stage.
+// Each stage provides `fuse`, which wraps the sink of the stages above it.
+// Pulling with `next` still goes through each stage as usual.
+class FusableAdaptor extends Adaptor {
+    constructor(iterator, fn) {
+        super(iterator);
+        this.fn = fn;
+        this.stopped = false;
+        // Callbacks that may take an index are given one, which is only counted for them.
+        this.indexed = takesIndex(fn);
+        this.index = 0;
+        this.call = this.indexed
+            ? value => fn(value, this.index++)
+            : fn;
+    }
+
+    // Whether the stage can be iterated from the back, where indexes need the amount of elements left.
+    get doubleEnded() {
+        return this.indexed
+            ? isExactDoubleEnded(this.iterator)
+            : this.iterator.doubleEnded;
+    }
+
+    // Calls the callback with an element from the back, which comes after every element left.
+    callBack(value) {
+        return this.indexed
+            ? this.fn(value, this.index + this.iterator.len())
+            : this.fn(value);
+    }
+
+    drive(sink) {
+        if (this.stopped) {
+            return true;
+        }
+
+        // Stages that are traced or measured pull with `next` instead, so they end the run of fused stages.
+        let fused = this.fuse(sink, this);
+        let source = this.iterator;
+        while (source instanceof FusableAdaptor && source.drive === FusableAdaptor.prototype.drive) {
+            fused = source.fuse(fused, this);
+            source = source.iterator;
+        }
+
+        const exhausted = source.drive(fused);
+        if (this.stopped) {
+            this.return();
+            return true;
+        }
+
+        return exhausted;
     }
 }
 
-class StepIterator extends LazyIterator {
+class StepIterator extends Adaptor {
     constructor(iterator, stepSize) {
         super(iterator);
         this.stepSize = stepSize;
@@ -899,35 +2407,53 @@ class StepIterator extends LazyIterator {
 
     next() {
         const item = this.iterator.next();
-        for (let i = 0; i < this.stepSize - 1; i++) {
-            this.iterator.next();
+        if (!item.done) {
+            this.iterator.advanceBy(this.stepSize - 1);
         }
 
         return item;
     }
+
+    sizeHint() {
+        const [lower, upper] = this.iterator.sizeHint();
+        return [Math.ceil(lower / this.stepSize), Math.ceil(upper / this.stepSize)];
+    }
 }
 
-class SkipIterator extends LazyIterator {
+class SkipIterator extends Adaptor {
     constructor(iterator, skipAmount) {
         super(iterator);
-        this.skipAmount = skipAmount;
+        this.skipAmount = Math.max(skipAmount, 0);
     }
 
     next() {
         if (this.skipAmount !== 0) {
-            this.skipAmount--;
-            this.iterator.next();
-            return this.next();
+            this.iterator.advanceBy(this.skipAmount);
+            this.skipAmount = 0;
         }
 
         return this.iterator.next();
     }
+
+    sizeHint() {
+        const [lower, upper] = this.iterator.sizeHint();
+        return [Math.max(lower - this.skipAmount, 0), Math.max(upper - this.skipAmount, 0)];
+    }
+
+    advanceBy(amount) {
+        if (this.skipAmount !== 0) {
+            this.iterator.advanceBy(this.skipAmount);
+            this.skipAmount = 0;
+        }
+
+        return this.iterator.advanceBy(amount);
+    }
 }
 
-class TakeIterator extends LazyIterator {
+class TakeIterator extends Adaptor {
     constructor(iterator, takeAmount) {
         super(iterator);
-        this.takeAmount = takeAmount;
+        this.takeAmount = Math.max(Math.ceil(takeAmount), 0);
     }
 
     next() {
@@ -936,17 +2462,46 @@ class TakeIterator extends LazyIterator {
             return this.iterator.next();
         }
 
-        return { done: true };
+        return this.return();
+    }
+
+    sizeHint() {
+        const [lower, upper] = this.iterator.sizeHint();
+        return [Math.min(lower, this.takeAmount), Math.min(upper, this.takeAmount)];
+    }
+
+    advanceBy(amount) {
+        const advanced = this.iterator.advanceBy(Math.min(amount, this.takeAmount));
+        this.takeAmount -= advanced;
+        return advanced;
     }
 }
 
-class SkipWhileIterator extends LazyIterator {
+class SkipWhileIterator extends FusableAdaptor {
     constructor(iterator, fn) {
-        super(iterator);
-        this.fn = fn;
+        super(iterator, fn);
         this.finishedSkipping = false;
     }
 
+    get doubleEnded() {
+        return false;
+    }
+
+    fuse(sink) {
+        const fn = this.call;
+        return value => {
+            if (!this.finishedSkipping) {
+                if (fn(value)) {
+                    return true;
+                }
+
+                this.finishedSkipping = true;
+            }
+
+            return sink(value);
+        };
+    }
+
     next() {
         if (!this.finishedSkipping) {
             const item = this.iterator.next();
@@ -954,106 +2509,1123 @@ class SkipWhileIterator extends LazyIterator {
                 return { done: true };
             }
 
-            if (!this.fn(item.value)) {
+            if (!this.call(item.value)) {
                 this.finishedSkipping = true;
                 return { done: false, value: item.value };
             }
 
-            return this.next();
+            return this.next();
+        }
+
+        return this.iterator.next();
+    }
+
+    sizeHint() {
+        if (this.finishedSkipping) {
+            return this.iterator.sizeHint();
+        }
+
+        return [0, this.iterator.sizeHint()[1]];
+    }
+}
+
+class TakeWhileIterator extends FusableAdaptor {
+    constructor(iterator, fn) {
+        super(iterator, fn);
+        this.finishedTaking = false;
+    }
+
+    get doubleEnded() {
+        return false;
+    }
+
+    fuse(sink, driver) {
+        const fn = this.call;
+        return value => {
+            if (this.finishedTaking || !fn(value)) {
+                this.finishedTaking = true;
+                driver.stopped = true;
+                return false;
+            }
+
+            return sink(value);
+        };
+    }
+
+    next() {
+        if (!this.finishedTaking) {
+            const item = this.iterator.next();
+            if (item.done) {
+                return { done: true };
+            }
+
+            if (!this.call(item.value)) {
+                this.finishedTaking = true;
+                return this.return();
+            }
+
+            return { done: false, value: item.value };
+        }
+
+        return { done: true };
+    }
+
+    sizeHint() {
+        if (this.finishedTaking) {
+            return [0, 0];
+        }
+
+        return [0, this.iterator.sizeHint()[1]];
+    }
+}
+
+class ChunkIterator extends Adaptor {
+    constructor(iterator, chunkSize) {
+        super(iterator);
+        this.chunkSize = chunkSize;
+    }
+
+    next() {
+        const values = [];
+        for (let i = 0; i < this.chunkSize; i++) {
+            const item = this.iterator.next();
+            if (item.done) {
+                break;
+            }
+
+            values.push(item.value);
+        }
+
+        if (!values.length) {
+            return { done: true };
+        }
+
+        return { done: false, value: values };
+    }
+
+    get doubleEnded() {
+        return isExactDoubleEnded(this.iterator);
+    }
+
+    nextBack() {
+        const length = this.iterator.len();
+        if (length === 0) {
+            return { done: true };
+        }
+
+        const size = length % this.chunkSize || this.chunkSize;
+        const values = new Array(size);
+        for (let i = size - 1; i >= 0; i--) {
+            values[i] = this.iterator.nextBack().value;
+        }
+
+        return { done: false, value: values };
+    }
+
+    sizeHint() {
+        const [lower, upper] = this.iterator.sizeHint();
+        return [Math.ceil(lower / this.chunkSize), Math.ceil(upper / this.chunkSize)];
+    }
+
+    advanceBy(amount) {
+        return Math.ceil(this.iterator.advanceBy(amount * this.chunkSize) / this.chunkSize);
+    }
+}
+
+// Keeps the current window in a ring buffer of the window size.
+// The window starts at `head` and holds `length` values.
+class WindowsIterator extends Adaptor {
+    constructor(iterator, size, step, partial) {
+        super(iterator);
+        this.size = size;
+        this.step = step;
+        this.partial = partial;
+        this.buffer = new Array(size);
+        this.head = 0;
+        this.length = 0;
+        this.started = false;
+        this.exhausted = false;
+    }
+
+    next() {
+        if (this.started) {
+            this.drop();
+        } else {
+            this.started = true;
+        }
+
+        while (!this.exhausted && this.length < this.size) {
+            const item = this.iterator.next();
+            if (item.done) {
+                this.exhausted = true;
+                break;
+            }
+
+            this.buffer[(this.head + this.length) % this.size] = item.value;
+            this.length++;
+        }
+
+        if (this.length === 0 || (this.length < this.size && !this.partial)) {
+            return { done: true };
+        }
+
+        const values = new Array(this.length);
+        for (let i = 0; i < this.length; i++) {
+            values[i] = this.buffer[(this.head + i) % this.size];
+        }
+
+        return { done: false, value: values };
+    }
+
+    drop() {
+        if (this.step < this.length) {
+            for (let i = 0; i < this.step; i++) {
+                this.buffer[(this.head + i) % this.size] = undefined;
+            }
+
+            this.head = (this.head + this.step) % this.size;
+            this.length -= this.step;
+            return;
+        }
+
+        const skipAmount = this.step - this.length;
+        this.buffer.fill(undefined);
+        this.head = 0;
+        this.length = 0;
+        if (!this.exhausted && skipAmount > 0 && this.iterator.advanceBy(skipAmount) < skipAmount) {
+            this.exhausted = true;
+        }
+    }
+
+    sizeHint() {
+        const [lower, upper] = this.exhausted
+            ? [0, 0]
+            : this.iterator.sizeHint();
+        return [this.countWindows(this.length + lower), this.countWindows(this.length + upper)];
+    }
+
+    countWindows(amount) {
+        const offset = this.started ? this.step : 0;
+        if (this.partial) {
+            return amount > offset
+                ? Math.ceil((amount - offset) / this.step)
+                : 0;
+        }
+
+        return amount >= offset + this.size
+            ? Math.floor((amount - offset - this.size) / this.step) + 1
+            : 0;
+    }
+}
+
+class EnumerateIterator extends Adaptor {
+    constructor(iterator) {
+        super(iterator);
+        this.index = 0;
+    }
+
+    next() {
+        const item = this.iterator.next();
+        if (item.done) {
+            return { done: true };
+        }
+
+        return { done: false, value: [this.index++, item.value] };
+    }
+
+    get doubleEnded() {
+        return isExactDoubleEnded(this.iterator);
+    }
+
+    nextBack() {
+        const length = this.iterator.len();
+        const item = this.iterator.nextBack();
+        if (item.done) {
+            return { done: true };
+        }
+
+        return { done: false, value: [this.index + length - 1, item.value] };
+    }
+
+    sizeHint() {
+        return this.iterator.sizeHint();
+    }
+
+    advanceBy(amount) {
+        const advanced = this.iterator.advanceBy(amount);
+        this.index += advanced;
+        return advanced;
+    }
+}
+
+class ConcatIterator extends Adaptor {
+    constructor(iterator, concatIterators) {
+        super(iterator);
+        this.concatIterators = concatIterators;
+        this.currentIterator = this.iterator;
+    }
+
+    next() {
+        const item = this.currentIterator.next();
+        if (item.done) {
+            if (!this.concatIterators.length) {
+                return { done: true };
+            }
+
+            this.currentIterator = this.concatIterators.shift();
+            return this.next();
+        }
+
+        return item;
+    }
+
+    sizeHint() {
+        let lower = 0;
+        let upper = 0;
+        for (const iter of [this.currentIterator, ...this.concatIterators]) {
+            const hint = iter.sizeHint();
+            lower += hint[0];
+            upper += hint[1];
+        }
+
+        return [lower, upper];
+    }
+
+    return(value) {
+        if (!this.closed) {
+            closeIterator(this.currentIterator);
+            for (const iter of this.concatIterators) {
+                closeIterator(iter);
+            }
+        }
+
+        return super.return(value);
+    }
+}
+
+// Iterators that are done are removed from the rotation.
+class InterleaveIterator extends Adaptor {
+    constructor(iterator, interleaveIterators, weights) {
+        super(iterator);
+        this.iterators = [iterator, ...interleaveIterators];
+        this.weights = weights.slice();
+        this.position = 0;
+        this.taken = 0;
+    }
+
+    next() {
+        while (this.iterators.length) {
+            const item = this.iterators[this.position].next();
+            if (item.done) {
+                this.iterators.splice(this.position, 1);
+                this.weights.splice(this.position, 1);
+                this.taken = 0;
+                if (this.position >= this.iterators.length) {
+                    this.position = 0;
+                }
+
+                continue;
+            }
+
+            this.taken++;
+            if (this.taken >= this.weights[this.position]) {
+                this.taken = 0;
+                this.position = (this.position + 1) % this.iterators.length;
+            }
+
+            return item;
+        }
+
+        return { done: true };
+    }
+
+    sizeHint() {
+        let lower = 0;
+        let upper = 0;
+        for (const iter of this.iterators) {
+            const hint = iter.sizeHint();
+            lower += hint[0];
+            upper += hint[1];
+        }
+
+        return [lower, upper];
+    }
+
+    return(value) {
+        if (!this.closed) {
+            for (const iter of this.iterators) {
+                if (iter !== this.iterator) {
+                    closeIterator(iter);
+                }
+            }
+        }
+
+        return super.return(value);
+    }
+}
+
+// Merges with a heap holding the head of each iterator, ties broken by the position of the iterator.
+// The iterator of the last yielded element is only advanced when the next element is needed.
+class MergeSortedIterator extends Adaptor {
+    constructor(iterator, mergeIterators, compare) {
+        super(iterator);
+        this.iterators = [iterator, ...mergeIterators];
+        this.compareEntries = (a, b) => compare(a.value, b.value) || a.index - b.index;
+        this.heap = null;
+        this.refill = -1;
+    }
+
+    next() {
+        if (this.heap === null) {
+            this.heap = new Heap(this.compareEntries);
+            this.iterators.forEach((iter, index) => {
+                const item = iter.next();
+                if (!item.done) {
+                    this.heap.push({ value: item.value, index });
+                }
+            });
+        } else if (this.refill !== -1) {
+            this.pull();
+        }
+
+        if (!this.heap.size) {
+            return { done: true };
+        }
+
+        const top = this.heap.peek();
+        this.refill = top.index;
+        return { done: false, value: top.value };
+    }
+
+    pull() {
+        const index = this.refill;
+        this.refill = -1;
+        const item = this.iterators[index].next();
+        if (item.done) {
+            this.heap.pop();
+        } else {
+            this.heap.replaceTop({ value: item.value, index });
+        }
+    }
+
+    sizeHint() {
+        // The heap still holds the last yielded element until it is replaced.
+        let lower = this.heap === null
+            ? 0
+            : this.heap.size - (this.refill === -1 ? 0 : 1);
+        let upper = lower;
+        for (const iter of this.iterators) {
+            const hint = iter.sizeHint();
+            lower += hint[0];
+            upper += hint[1];
+        }
+
+        return [lower, upper];
+    }
+
+    return(value) {
+        if (!this.closed) {
+            for (const iter of this.iterators.slice(1)) {
+                closeIterator(iter);
+            }
+        }
+
+        return super.return(value);
+    }
+}
+
+// Walks two sorted iterators side by side, holding the current element of each.
+// Equal elements are paired off one to one, and `keep` says which of the unpaired and paired elements are yielded.
+// Once one side is done and the other side would not be yielded anymore, the iteration stops early.
+class SortedSetIterator extends Adaptor {
+    constructor(iterator, other, compare, distinct, keep) {
+        super(iterator);
+        this.other = other;
+        this.compare = compare;
+        this.distinct = distinct;
+        this.keep = keep;
+        this.left = null;
+        this.right = null;
+        this.previousLeft = null;
+        this.previousRight = null;
+    }
+
+    next() {
+        for (;;) {
+            if (this.left === null) {
+                this.left = this.pull(this.iterator, this.previousLeft);
+            }
+
+            if (this.right === null) {
+                this.right = this.pull(this.other, this.previousRight);
+            }
+
+            const { left, right } = this;
+            if ((left.done && (right.done || !this.keep.right)) || (right.done && !this.keep.left)) {
+                return this.return();
+            }
+
+            const order = left.done
+                ? 1
+                : right.done
+                    ? -1
+                    : this.compare(left.value, right.value);
+
+            if (order <= 0) {
+                this.previousLeft = left;
+                this.left = null;
+            }
+
+            if (order >= 0) {
+                this.previousRight = right;
+                this.right = null;
+            }
+
+            if (order < 0 && this.keep.left) {
+                return { done: false, value: left.value };
+            }
+
+            if (order > 0 && this.keep.right) {
+                return { done: false, value: right.value };
+            }
+
+            if (order === 0 && this.keep.both) {
+                return { done: false, value: left.value };
+            }
+        }
+    }
+
+    // In distinct mode, elements equal to the previous one from the same side are skipped.
+    pull(iter, previous) {
+        let item = iter.next();
+        if (this.distinct && previous !== null) {
+            while (!item.done && this.compare(previous.value, item.value) === 0) {
+                item = iter.next();
+            }
+        }
+
+        return item;
+    }
+
+    return(value) {
+        if (!this.closed) {
+            closeIterator(this.other);
+        }
+
+        return super.return(value);
+    }
+}
+
+// The other iterator is collected into counts, which elements of this iterator are paired off against.
+// Whatever is left of the counts afterwards is yielded in the order of the other iterator.
+// In distinct mode, both sides are deduplicated first, so that every count is one.
+class HashSetIterator extends Adaptor {
+    constructor(iterator, other, distinct, keep) {
+        super(iterator);
+        this.other = other;
+        this.distinct = distinct;
+        this.keep = keep;
+        this.counts = null;
+        this.otherValues = null;
+        this.seen = distinct ? new Set() : null;
+        this.position = -1;
+    }
+
+    next() {
+        if (this.counts === null) {
+            this.counts = new Map();
+            this.otherValues = [];
+            for (const value of this.other) {
+                const count = this.counts.get(value) || 0;
+                if (!this.distinct || count === 0) {
+                    this.counts.set(value, count + 1);
+                    this.otherValues.push(value);
+                }
+            }
+        }
+
+        if (this.position === -1) {
+            let item = this.iterator.next();
+            while (!item.done) {
+                const { value } = item;
+                if (!this.distinct || !this.seen.has(value)) {
+                    if (this.distinct) {
+                        this.seen.add(value);
+                    }
+
+                    const count = this.counts.get(value) || 0;
+                    if (count > 0) {
+                        this.counts.set(value, count - 1);
+                    }
+
+                    if (count > 0 ? this.keep.both : this.keep.left) {
+                        return { done: false, value };
+                    }
+                }
+
+                item = this.iterator.next();
+            }
+
+            this.position = 0;
+        }
+
+        while (this.keep.right && this.position < this.otherValues.length) {
+            const value = this.otherValues[this.position++];
+            const count = this.counts.get(value);
+            if (count > 0) {
+                this.counts.set(value, count - 1);
+                return { done: false, value };
+            }
+        }
+
+        return { done: true };
+    }
+
+    return(value) {
+        if (!this.closed) {
+            closeIterator(this.other);
+        }
+
+        return super.return(value);
+    }
+}
+
+const checkSubsetSize = k => {
+    if (!Number.isInteger(k) || k < 0) {
+        throw new RangeError('Size must be an integer greater than or equal to 0');
+    }
+};
+
+// Buffers the values of an iterator, only reading more when a position past them is asked for.
+class Pool {
+    constructor(iterator) {
+        this.iterator = iterator;
+        this.values = [];
+        this.done = false;
+    }
+
+    has(index) {
+        while (!this.done && this.values.length <= index) {
+            const item = this.iterator.next();
+            if (item.done) {
+                this.done = true;
+            } else {
+                this.values.push(item.value);
+            }
+        }
+
+        return index < this.values.length;
+    }
+
+    pick(indices) {
+        return indices.map(i => this.values[i]);
+    }
+}
+
+// Lexicographic order is an odometer over the buffered iterators, moving the first iterator on when it wraps around.
+// Diagonal order goes through the positions level by level, where a level is the sum of the positions.
+// Within a level, positions are in lexicographic order, and the first empty level means every array was reached.
+class ProductIterator extends Adaptor {
+    constructor(iterator, productIterators, diagonal) {
+        super(iterator);
+        this.productIterators = productIterators;
+        this.diagonal = diagonal;
+        this.pools = null;
+        this.indices = null;
+        this.head = null;
+        this.level = 0;
+    }
+
+    next() {
+        if (this.closed) {
+            return { done: true };
+        }
+
+        if (this.diagonal) {
+            return this.nextDiagonal();
+        }
+
+        if (this.indices === null) {
+            this.pools = this.productIterators.map(iter => new Pool(iter));
+            this.indices = this.pools.map(() => 0);
+            this.head = this.iterator.next();
+            for (const pool of this.pools) {
+                if (this.head.done || !pool.has(0)) {
+                    return this.return();
+                }
+            }
+        } else {
+            let j = this.indices.length - 1;
+            while (j >= 0 && !this.pools[j].has(this.indices[j] + 1)) {
+                this.indices[j] = 0;
+                j--;
+            }
+
+            if (j >= 0) {
+                this.indices[j]++;
+            } else {
+                this.head = this.iterator.next();
+                if (this.head.done) {
+                    return this.return();
+                }
+            }
+        }
+
+        return { done: false, value: [this.head.value, ...this.indices.map((i, d) => this.pools[d].values[i])] };
+    }
+
+    nextDiagonal() {
+        if (this.indices === null) {
+            this.pools = [this.iterator, ...this.productIterators].map(iter => new Pool(iter));
+            this.indices = this.pools.map(() => 0);
+            if (!this.fill(0, 0)) {
+                return this.return();
+            }
+        } else if (!this.advance()) {
+            return this.return();
+        }
+
+        return { done: false, value: this.indices.map((i, d) => this.pools[d].values[i]) };
+    }
+
+    // Moves to the next positions in the level, or the first positions in the next level.
+    advance() {
+        let used = this.indices.reduce((a, b) => a + b, 0) - this.indices[this.indices.length - 1];
+        for (let d = this.indices.length - 2; d >= 0; d--) {
+            used -= this.indices[d];
+            for (let i = this.indices[d] + 1; i <= this.level - used && this.pools[d].has(i); i++) {
+                this.indices[d] = i;
+                if (this.fill(d + 1, this.level - used - i)) {
+                    return true;
+                }
+            }
+        }
+
+        this.level++;
+        return this.fill(0, this.level);
+    }
+
+    // Sets the positions from the given iterator on to the first ones that sum up to the given amount.
+    fill(d, amount) {
+        if (d === this.indices.length - 1) {
+            this.indices[d] = amount;
+            return this.pools[d].has(amount);
+        }
+
+        for (let i = 0; i <= amount && this.pools[d].has(i); i++) {
+            this.indices[d] = i;
+            if (this.fill(d + 1, amount - i)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    return(value) {
+        if (!this.closed) {
+            for (const iter of this.productIterators) {
+                closeIterator(iter);
+            }
+        }
+
+        return super.return(value);
+    }
+}
+
+// Orderings are kept as positions, and the next one in lexicographic order is found from the right.
+// The rightmost position that can be raised to an unused position is raised, and the rest are filled in with the lowest unused positions.
+class PermutationsIterator extends Adaptor {
+    constructor(iterator, k) {
+        super(iterator);
+        this.k = k;
+        this.pool = new Pool(iterator);
+        this.indices = null;
+    }
+
+    next() {
+        if (this.indices === null) {
+            if (this.k === undefined) {
+                this.pool.has(Infinity);
+                this.k = this.pool.values.length;
+            }
+
+            this.indices = Array.from({ length: this.k }, (_, i) => i);
+            if (this.k > 0 && !this.pool.has(this.k - 1)) {
+                return { done: true };
+            }
+
+            return { done: false, value: this.pool.pick(this.indices) };
+        }
+
+        const used = new Set(this.indices);
+        for (let j = this.k - 1; j >= 0; j--) {
+            used.delete(this.indices[j]);
+            let i = this.indices[j] + 1;
+            while (used.has(i)) {
+                i++;
+            }
+
+            if (this.pool.has(i)) {
+                this.indices[j] = i;
+                used.add(i);
+                let lowest = 0;
+                for (let m = j + 1; m < this.k; m++) {
+                    while (used.has(lowest)) {
+                        lowest++;
+                    }
+
+                    this.indices[m] = lowest;
+                    used.add(lowest);
+                }
+
+                return { done: false, value: this.pool.pick(this.indices) };
+            }
+        }
+
+        return this.return();
+    }
+}
+
+// Choices are kept as increasing positions, or non-decreasing positions with replacement.
+// The rightmost position that can be raised is raised, and the positions after it start over right after it.
+class CombinationsIterator extends Adaptor {
+    constructor(iterator, k, replacement) {
+        super(iterator);
+        this.k = k;
+        this.replacement = replacement;
+        this.pool = new Pool(iterator);
+        this.indices = null;
+    }
+
+    next() {
+        if (this.indices === null) {
+            this.indices = Array.from({ length: this.k }, (_, i) => this.replacement ? 0 : i);
+            if (this.k > 0 && !this.pool.has(this.indices[this.k - 1])) {
+                return { done: true };
+            }
+
+            return { done: false, value: this.pool.pick(this.indices) };
+        }
+
+        for (let j = this.k - 1; j >= 0; j--) {
+            const last = this.replacement
+                ? this.indices[j] + 1
+                : this.indices[j] + this.k - j;
+
+            if (this.pool.has(last)) {
+                this.indices[j]++;
+                for (let m = j + 1; m < this.k; m++) {
+                    this.indices[m] = this.replacement
+                        ? this.indices[j]
+                        : this.indices[m - 1] + 1;
+                }
+
+                return { done: false, value: this.pool.pick(this.indices) };
+            }
+        }
+
+        return this.return();
+    }
+}
+
+// Subsets are counted in binary, with the lowest bit for the first element.
+// A new element is only read when the count carries past every element read so far.
+class PowersetIterator extends Adaptor {
+    constructor(iterator) {
+        super(iterator);
+        this.pool = new Pool(iterator);
+        this.bits = null;
+    }
+
+    next() {
+        if (this.bits === null) {
+            this.bits = [];
+            return { done: false, value: [] };
+        }
+
+        let m = this.bits.indexOf(false);
+        if (m === -1) {
+            m = this.bits.length;
+            if (!this.pool.has(m)) {
+                return { done: true };
+            }
+        }
+
+        this.bits.fill(false, 0, m);
+        this.bits[m] = true;
+
+        return { done: false, value: this.pool.values.filter((_, i) => this.bits[i]) };
+    }
+}
+
+class SortedIterator extends Adaptor {
+    constructor(iterator, compare) {
+        super(iterator);
+        this.compare = compare;
+        this.heap = null;
+    }
+
+    next() {
+        if (this.heap === null) {
+            const entries = [];
+            consume(this.iterator, value => {
+                entries.push({ value, index: entries.length });
+                return true;
+            });
+
+            this.heap = new Heap((a, b) => this.compare(a.value, b.value) || a.index - b.index, entries);
+        }
+
+        return this.heap.size
+            ? { done: false, value: this.heap.pop().value }
+            : { done: true };
+    }
+
+    sizeHint() {
+        return this.heap === null
+            ? this.iterator.sizeHint()
+            : [this.heap.size, this.heap.size];
+    }
+}
+
+// The values shared by the iterators made by `tee`, with the position of each iterator in them.
+// Values are kept from when the first iterator pulls them until the last one has,
+// and a closed iterator's position is null so that it does not hold values back.
+class TeeBuffer {
+    constructor(iterator, amount, maxBuffer) {
+        this.iterator = iterator;
+        this.maxBuffer = maxBuffer;
+        this.values = [];
+        this.head = 0;
+        this.start = 0;
+        this.positions = new Array(amount).fill(0);
+        this.exhausted = false;
+    }
+
+    get end() {
+        return this.start + this.values.length - this.head;
+    }
+
+    pull(branch) {
+        const position = this.positions[branch];
+        if (position < this.end) {
+            const value = this.values[this.head + position - this.start];
+            this.positions[branch]++;
+            this.trim();
+            return { done: false, value };
+        }
+
+        if (this.exhausted) {
+            return { done: true };
+        }
+
+        // The value only needs to be kept if another iterator has yet to pull it.
+        const waiting = this.positions.some((other, i) => i !== branch && other !== null);
+        if (waiting && this.end - this.slowest() >= this.maxBuffer) {
+            throw new RangeError(`Tee buffer exceeded its limit of ${this.maxBuffer} values`);
+        }
+
+        const item = this.iterator.next();
+        if (item.done) {
+            this.exhausted = true;
+            return { done: true };
+        }
+
+        this.positions[branch]++;
+        if (waiting) {
+            this.values.push(item.value);
+        } else {
+            this.start++;
+        }
+
+        return item;
+    }
+
+    slowest() {
+        let slowest = Infinity;
+        for (const position of this.positions) {
+            if (position !== null && position < slowest) {
+                slowest = position;
+            }
+        }
+
+        return slowest;
+    }
+
+    trim() {
+        const slowest = Math.min(this.slowest(), this.end);
+        while (this.start < slowest) {
+            this.values[this.head++] = undefined;
+            this.start++;
+        }
+
+        // The dropped values are only removed from the array once they make up half of it.
+        if (this.head > 0 && this.head * 2 >= this.values.length) {
+            this.values.splice(0, this.head);
+            this.head = 0;
         }
+    }
 
-        return this.iterator.next();
+    available(branch) {
+        return this.end - this.positions[branch];
+    }
+
+    close(branch) {
+        this.positions[branch] = null;
+        if (this.positions.every(position => position === null)) {
+            this.values = [];
+            this.head = 0;
+            this.iterator.return();
+        } else {
+            this.trim();
+        }
     }
 }
 
-class TakeWhileIterator extends LazyIterator {
-    constructor(iterator, fn) {
-        super(iterator);
-        this.fn = fn;
-        this.finishedTaking = false;
+// The source of one of the iterators made by `tee`, which reads the values from the shared buffer.
+class TeeSource {
+    constructor(buffer, branch) {
+        this.buffer = buffer;
+        this.branch = branch;
+        this.closed = false;
     }
 
     next() {
-        if (!this.finishedTaking) {
-            const item = this.iterator.next();
-            if (item.done) {
-                return { done: true };
-            }
+        if (this.closed) {
+            return { done: true };
+        }
 
-            if (!this.fn(item.value)) {
-                this.finishedTaking = true;
-                return { done: true };
-            }
+        const item = this.buffer.pull(this.branch);
+        if (item.done) {
+            this.return();
+        }
 
-            return { done: false, value: item.value };
+        return item;
+    }
+
+    sizeHint() {
+        if (this.closed) {
+            return [0, 0];
         }
 
-        return { done: true };
+        const available = this.buffer.available(this.branch);
+        const [lower, upper] = this.buffer.exhausted
+            ? [0, 0]
+            : this.buffer.iterator.sizeHint();
+
+        return [available + lower, available + upper];
+    }
+
+    return(value) {
+        if (!this.closed) {
+            this.closed = true;
+            this.buffer.close(this.branch);
+        }
+
+        return { done: true, value };
     }
 }
 
-class ChunkIterator extends LazyIterator {
-    constructor(iterator, chunkSize) {
-        super(iterator);
-        this.chunkSize = chunkSize;
+// The values pulled so far for the iterators made by `memoize`.
+// An iterator only ever asks for the value after the last one cached, so one pull is enough.
+class MemoCache {
+    constructor(iterator) {
+        this.iterator = iterator;
+        this.values = [];
+        this.exhausted = false;
     }
 
-    next() {
-        const values = [];
-        for (let i = 0; i < this.chunkSize; i++) {
-            const item = this.iterator.next();
-            if (!item.done) {
-                values.push(item.value);
-            }
+    get(index) {
+        if (index < this.values.length) {
+            return { done: false, value: this.values[index] };
         }
 
-        if (!values.length) {
+        if (this.exhausted) {
             return { done: true };
         }
 
-        return { done: false, value: values };
+        const item = this.iterator.next();
+        if (item.done) {
+            this.exhausted = true;
+            return { done: true };
+        }
+
+        this.values.push(item.value);
+        return item;
     }
 }
 
-class EnumerateIterator extends LazyIterator {
-    constructor(iterator) {
-        super(iterator);
-        this.index = 0;
+// The source of one of the iterators of the sequence made by `memoize`, which reads the values from the shared cache.
+class MemoSource {
+    constructor(cache) {
+        this.cache = cache;
+        this.position = 0;
     }
 
     next() {
-        const item = this.iterator.next();
-        if (item.done) {
-            return { done: true };
+        const item = this.cache.get(this.position);
+        if (!item.done) {
+            this.position++;
         }
 
-        return { done: false, value: [this.index++, item.value] };
+        return item;
+    }
+
+    sizeHint() {
+        const cached = this.cache.values.length - this.position;
+        const [lower, upper] = this.cache.exhausted
+            ? [0, 0]
+            : this.cache.iterator.sizeHint();
+
+        return [cached + lower, cached + upper];
     }
 }
 
-class ConcatIterator extends LazyIterator {
-    constructor(iterator, concatIterators) {
+const checkAttempts = attempts => {
+    if (!Number.isInteger(attempts) || attempts < 1) {
+        throw new RangeError('Attempts must be an integer greater than or equal to 1');
+    }
+};
+
+class CatchErrorIterator extends Adaptor {
+    constructor(iterator, handler) {
         super(iterator);
-        this.concatIterators = concatIterators;
-        this.currentIterator = this.iterator;
+        this.handler = handler;
+        this.substitutes = null;
     }
 
     next() {
-        const item = this.currentIterator.next();
-        if (item.done) {
-            if (!this.concatIterators.length) {
-                return { done: true };
+        // Errors are handled in a loop, so that a long run of failing elements does not grow the stack.
+        for (;;) {
+            if (this.substitutes) {
+                const item = this.substitutes.next();
+                if (!item.done) {
+                    return item;
+                }
+
+                this.substitutes = null;
             }
 
-            this.currentIterator = this.concatIterators.shift();
-            return this.next();
+            try {
+                return this.iterator.next();
+            } catch (err) {
+                this.substitutes = LazyIterator.from(this.handler(err));
+            }
         }
+    }
 
-        return item;
+    return(value) {
+        if (!this.closed) {
+            closeIterator(this.substitutes);
+            this.substitutes = null;
+        }
+
+        return super.return(value);
     }
 }
 
-class CycleIterator extends LazyIterator {
+class CycleIterator extends Adaptor {
     constructor(iterator) {
         super(iterator);
         this.cache = [];
@@ -1074,44 +3646,149 @@ class CycleIterator extends LazyIterator {
 
         return item;
     }
+
+    sizeHint() {
+        const [lower, upper] = this.iterator.sizeHint();
+        if (this.cache.length || lower > 0) {
+            return [Infinity, Infinity];
+        }
+
+        return upper === 0
+            ? [0, 0]
+            : [0, Infinity];
+    }
 }
 
-class MapIterator extends LazyIterator {
-    constructor(iterator, fn) {
-        super(iterator);
-        this.fn = fn;
+class MapIterator extends FusableAdaptor {
+    fuse(sink) {
+        const fn = this.call;
+        return value => sink(fn(value));
     }
 
     next() {
         const item = this.iterator.next();
         return item.done
             ? { done: true }
-            : { done: false, value: this.fn(item.value) };
+            : { done: false, value: this.call(item.value) };
+    }
+
+    nextBack() {
+        const item = this.iterator.nextBack();
+        return item.done
+            ? { done: true }
+            : { done: false, value: this.callBack(item.value) };
+    }
+
+    sizeHint() {
+        return this.iterator.sizeHint();
     }
 }
 
-class FilterIterator extends LazyIterator {
-    constructor(iterator, fn) {
-        super(iterator);
-        this.fn = fn;
+class FilterIterator extends FusableAdaptor {
+    fuse(sink) {
+        const fn = this.call;
+        return value => !fn(value) || sink(value);
     }
 
     next() {
         const item = this.iterator.next();
         return item.done
             ? { done: true }
-            : this.fn(item.value)
+            : this.call(item.value)
                 ? { done: false, value: item.value }
                 : this.next();
     }
+
+    nextBack() {
+        let item = this.iterator.nextBack();
+        while (!item.done && !this.callBack(item.value)) {
+            item = this.iterator.nextBack();
+        }
+
+        return item.done
+            ? { done: true }
+            : { done: false, value: item.value };
+    }
+
+    sizeHint() {
+        return [0, this.iterator.sizeHint()[1]];
+    }
+}
+
+// Set iterates in insertion order, so when limited, the first key is the least recently seen.
+class UniqueIterator extends Adaptor {
+    constructor(iterator, fn, limit) {
+        super(iterator);
+        this.fn = fn;
+        this.limit = limit;
+        this.seen = new Set();
+    }
+
+    next() {
+        let item = this.iterator.next();
+        while (!item.done) {
+            const key = this.fn(item.value);
+            const seen = this.seen.has(key);
+            if (seen && this.limit !== Infinity) {
+                // Moves the key to the end, as the most recently seen.
+                this.seen.delete(key);
+            }
+
+            this.seen.add(key);
+            if (this.seen.size > this.limit) {
+                this.seen.delete(this.seen.values().next().value);
+            }
+
+            if (!seen) {
+                return { done: false, value: item.value };
+            }
+
+            item = this.iterator.next();
+        }
+
+        return { done: true };
+    }
+
+    sizeHint() {
+        return [0, this.iterator.sizeHint()[1]];
+    }
+}
+
+class DedupAdjacentIterator extends Adaptor {
+    constructor(iterator, eq) {
+        super(iterator);
+        this.eq = eq;
+        this.started = false;
+        this.previous = undefined;
+    }
+
+    next() {
+        let item = this.iterator.next();
+        while (!item.done && this.started && this.eq(this.previous, item.value)) {
+            item = this.iterator.next();
+        }
+
+        if (item.done) {
+            return { done: true };
+        }
+
+        this.started = true;
+        this.previous = item.value;
+        return { done: false, value: item.value };
+    }
+
+    sizeHint() {
+        return [0, this.iterator.sizeHint()[1]];
+    }
 }
 
-class ScanIterator extends LazyIterator {
+class ScanIterator extends Adaptor {
     constructor(iterator, fn, accum) {
         super(iterator);
         this.fn = fn;
         this.accum = accum;
         this.yieldedStart = false;
+        this.index = 0;
     }
 
     next() {
@@ -1128,6 +3805,7 @@ class ScanIterator extends LazyIterator {
 
             this.yieldedStart = true;
             this.accum = item.value;
+            this.index++;
             return item;
         }
 
@@ -1136,12 +3814,18 @@ class ScanIterator extends LazyIterator {
             return { done: true };
         }
 
-        this.accum = this.fn(this.accum, item.value);
+        this.accum = this.fn(this.accum, item.value, this.index++);
         return { done: false, value: this.accum };
     }
+
+    sizeHint() {
+        const [lower, upper] = this.iterator.sizeHint();
+        const start = !this.yieldedStart && this.accum !== undefined ? 1 : 0;
+        return [lower + start, upper + start];
+    }
 }
 
-class ZipIterator extends LazyIterator {
+class ZipIterator extends Adaptor {
     constructor(iterator, zipIterators) {
         super(iterator);
         this.zipIterators = zipIterators;
@@ -1149,14 +3833,154 @@ class ZipIterator extends LazyIterator {
 
     next() {
         const item = this.iterator.next();
-        const zipItems = this.zipIterators.map(iter => iter.next());
-        return item.done || zipItems.some(nz => nz.done)
+        if (item.done) {
+            return this.return();
+        }
+
+        const value = [item.value];
+        for (const iter of this.zipIterators) {
+            const zipItem = iter.next();
+            if (zipItem.done) {
+                return this.return();
+            }
+
+            value.push(zipItem.value);
+        }
+
+        return { done: false, value };
+    }
+
+    get doubleEnded() {
+        return isExactDoubleEnded(this.iterator) && this.zipIterators.every(isExactDoubleEnded);
+    }
+
+    nextBack() {
+        // Longer iterators are trimmed so that the backs line up.
+        const iters = [this.iterator, ...this.zipIterators];
+        const length = Math.min(...iters.map(iter => iter.len()));
+        if (length === 0) {
+            return { done: true };
+        }
+
+        const value = [];
+        for (const iter of iters) {
+            for (let i = iter.len(); i > length; i--) {
+                iter.nextBack();
+            }
+
+            value.push(iter.nextBack().value);
+        }
+
+        return { done: false, value };
+    }
+
+    sizeHint() {
+        const hints = [this.iterator, ...this.zipIterators].map(iter => iter.sizeHint());
+        return [Math.min(...hints.map(hint => hint[0])), Math.min(...hints.map(hint => hint[1]))];
+    }
+
+    return(value) {
+        if (!this.closed) {
+            for (const iter of this.zipIterators) {
+                closeIterator(iter);
+            }
+        }
+
+        return super.return(value);
+    }
+}
+
+class ZipWithIterator extends ZipIterator {
+    constructor(iterator, fn, zipIterators) {
+        super(iterator, zipIterators);
+        this.fn = fn;
+        this.values = new Array(zipIterators.length + 1);
+    }
+
+    next() {
+        const item = this.iterator.next();
+        if (item.done) {
+            return this.return();
+        }
+
+        this.values[0] = item.value;
+        for (let i = 0; i < this.zipIterators.length; i++) {
+            const zipItem = this.zipIterators[i].next();
+            if (zipItem.done) {
+                return this.return();
+            }
+
+            this.values[i + 1] = zipItem.value;
+        }
+
+        const value = Reflect.apply(this.fn, undefined, this.values);
+        this.values.fill(undefined);
+        return { done: false, value };
+    }
+
+    nextBack() {
+        const item = super.nextBack();
+        return item.done
             ? { done: true }
-            : { done: false, value: [item.value, ...zipItems.map(zipItem => zipItem.value)] };
+            : { done: false, value: Reflect.apply(this.fn, undefined, item.value) };
+    }
+}
+
+// Iterators that are done stay in place and are padded for.
+class ZipLongestIterator extends Adaptor {
+    constructor(iterator, zipIterators, fills) {
+        super(iterator);
+        this.zipIterators = zipIterators;
+        this.fills = fills;
+        this.finished = [iterator, ...zipIterators].map(() => false);
+    }
+
+    next() {
+        const iters = [this.iterator, ...this.zipIterators];
+        const value = new Array(iters.length);
+        let remaining = false;
+        for (let i = 0; i < iters.length; i++) {
+            if (!this.finished[i]) {
+                const item = iters[i].next();
+                if (item.done) {
+                    this.finished[i] = true;
+                } else {
+                    value[i] = item.value;
+                    remaining = true;
+                    continue;
+                }
+            }
+
+            value[i] = this.fills[i];
+        }
+
+        if (!remaining) {
+            return this.return();
+        }
+
+        return { done: false, value };
+    }
+
+    sizeHint() {
+        const hints = [this.iterator, ...this.zipIterators]
+            .map((iter, i) => this.finished[i] ? [0, 0] : iter.sizeHint());
+        return [Math.max(...hints.map(hint => hint[0])), Math.max(...hints.map(hint => hint[1]))];
+    }
+
+    return(value) {
+        if (!this.closed) {
+            for (let i = 0; i < this.zipIterators.length; i++) {
+                if (!this.finished[i + 1]) {
+                    closeIterator(this.zipIterators[i]);
+                }
+            }
+        }
+
+        return super.return(value);
     }
 }
 
-class FlatIterator extends LazyIterator {
+class FlatIterator extends Adaptor {
     constructor(iterator, depth) {
         super(iterator);
         this.depth = depth;
@@ -1186,12 +4010,22 @@ class FlatIterator extends LazyIterator {
 
         return item;
     }
+
+    return(value) {
+        if (!this.closed) {
+            closeIterator(this.flatIterator);
+            this.flatIterator = null;
+        }
+
+        return super.return(value);
+    }
 }
 
-class FlatMapIterator extends LazyIterator {
+class FlatMapIterator extends Adaptor {
     constructor(iterator, fn) {
         super(iterator);
         this.fn = fn;
+        this.call = withIndex(fn);
         this.flatIterator = null;
     }
 
@@ -1211,7 +4045,7 @@ class FlatMapIterator extends LazyIterator {
             return { done: true };
         }
 
-        const value = this.fn(item.value);
+        const value = this.call(item.value);
         if (LazyIterator.isIterable(value) || LazyIterator.isIterator(value)) {
             this.flatIterator = new FlatIterator(LazyIterator.from(value), 1);
             return this.flatIterator.next();
@@ -1219,13 +4053,23 @@ class FlatMapIterator extends LazyIterator {
 
         return { done: false, value };
     }
+
+    return(value) {
+        if (!this.closed) {
+            closeIterator(this.flatIterator);
+            this.flatIterator = null;
+        }
+
+        return super.return(value);
+    }
 }
 
-class JoinIterator extends LazyIterator {
+class JoinIterator extends Adaptor {
     constructor(iterator, joinValue) {
         super(iterator);
         this.joinValue = joinValue;
         this.joinNext = false;
+        this.upcoming = null;
     }
 
     next() {
@@ -1234,24 +4078,38 @@ class JoinIterator extends LazyIterator {
             return { done: false, value: this.joinValue };
         }
 
-        const item = this.iterator.next();
+        const item = this.upcoming || this.iterator.next();
         if (item.done) {
             return { done: true };
         }
 
-        if (!this.iterator.peek().done) {
-            this.joinNext = true;
+        this.upcoming = this.iterator.next();
+        this.joinNext = !this.upcoming.done;
+        return item;
+    }
+
+    sizeHint() {
+        const [lower, upper] = this.iterator.sizeHint();
+        if (this.upcoming === null) {
+            return [Math.max((lower * 2) - 1, 0), Math.max((upper * 2) - 1, 0)];
+        }
+
+        if (this.upcoming.done) {
+            return [0, 0];
         }
 
-        return item;
+        // Each item after the upcoming one comes with a join value, and so does the upcoming one if it is not yielded yet.
+        const owed = this.joinNext ? 2 : 1;
+        return [owed + (lower * 2), owed + (upper * 2)];
     }
 }
 
-class JoinWithIterator extends LazyIterator {
+class JoinWithIterator extends Adaptor {
     constructor(iterator, joinWithIterator) {
         super(iterator);
         this.joinWithIterator = joinWithIterator;
         this.joinNext = false;
+        this.upcoming = null;
         this.cache = [];
         this.cachedAll = false;
     }
@@ -1273,33 +4131,67 @@ class JoinWithIterator extends LazyIterator {
             return item;
         }
 
-        const item = this.iterator.next();
+        const item = this.upcoming || this.iterator.next();
         if (item.done) {
-            return { done: true };
+            return this.return();
         }
 
-        if (!this.iterator.peek().done) {
-            this.joinNext = true;
+        this.upcoming = this.iterator.next();
+        this.joinNext = !this.upcoming.done;
+        return item;
+    }
+
+    return(value) {
+        if (!this.closed) {
+            closeIterator(this.joinWithIterator);
         }
 
-        return item;
+        return super.return(value);
     }
 }
 
-class EachIterator extends LazyIterator {
-    constructor(iterator, fn) {
-        super(iterator);
-        this.fn = fn;
+// Not double-ended, since reading from the back would skip the side effects of the elements before.
+class EachIterator extends FusableAdaptor {
+    get doubleEnded() {
+        return false;
+    }
+
+    fuse(sink) {
+        const fn = this.call;
+        return value => {
+            fn(value);
+            return sink(value);
+        };
     }
 
     next() {
         const item = this.iterator.next();
         if (!item.done) {
-            this.fn(item.value);
+            this.call(item.value);
         }
 
         return item;
     }
+
+    sizeHint() {
+        return this.iterator.sizeHint();
+    }
+}
+
+class TraceIterator extends Adaptor {
+    constructor(iterator, label, log) {
+        super(iterator);
+        this.label = label;
+        this.traced = traceNext(label, () => this.iterator.next(), log);
+    }
+
+    next() {
+        return this.traced();
+    }
+
+    sizeHint() {
+        return this.iterator.sizeHint();
+    }
 }
 
 module.exports = LazyIterator;
@@ -1307,18 +4199,21 @@ module.exports = LazyIterator;
 /**
  * @callback Mapping
  * @param {any} item Item to map.
+ * @param {number} [index] Index of the item, not given to callbacks whose `length` is 1, like `x => x` or `(x, i = 0) => i`.
  * @returns {any} Mapped item.
  */
 
 /**
  * @callback Predicate
  * @param {any} item Item to check.
+ * @param {number} [index] Index of the item, not given to callbacks whose `length` is 1, like `x => x` or `(x, i = 0) => i`.
  * @returns {boolean} Whether or not the item passed.
  */
 
 /**
  * @callback Consumer
  * @param {any} item Item to use.
+ * @param {number} [index] Index of the item, not given to callbacks whose `length` is 1, like `x => x` or `(x, i = 0) => i`.
  * @returns {void} Nothing.
  */
 
@@ -1326,6 +4221,7 @@ module.exports = LazyIterator;
  * @callback Reducer
  * @param {any} accum The accumulator.
  * @param {any} item The current item.
+ * @param {number} [index] Index of the current item, given to the callbacks of `scan`.
  * @returns {any} The new accumulator.
  */
 
@@ -1359,3 +4255,9 @@ module.exports = LazyIterator;
  * @callback Generating
  * @returns {any} A value.
  */
+
+/**
+ * @callback ErrorHandler
+ * @param {any} err The thrown error.
+ * @returns {Iterator|Iterable} Values to use instead.
+ */
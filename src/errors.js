@@ -0,0 +1,63 @@
+const { preview } = require('./util');
+
+// Whether callbacks of adaptors are wrapped so that their errors say where they came from.
+// This is off by default, since wrapping adds a call to every element.
+const stageErrors = { enabled: false };
+
+/**
+ * An error thrown by a callback of an adaptor, with where in the chain it was thrown.
+ * These are only thrown after `lazy.wrapErrors()` has turned them on.
+ * The original error is the cause.
+ * @extends Error
+ */
+class StageError extends Error {
+    /**
+     * Wraps an error thrown by a callback.
+     * @param {string} stage The method that made the adaptor, such as `map`.
+     * @param {number} position Position of the adaptor in the chain, where the first adaptor after the source is 1.
+     * @param {number} index Index of the element that the callback failed on.
+     * @param {any} value The element that the callback failed on.
+     * @param {any} cause The thrown error.
+     */
+    constructor(stage, position, index, value, cause) {
+        const message = cause instanceof Error ? cause.message : String(cause);
+        super(`${stage} at stage ${position} failed on element ${index} (${preview(value)}): ${message}`);
+        this.name = 'StageError';
+        this.cause = cause;
+        this.stage = stage;
+        this.position = position;
+        this.index = index;
+        this.value = value;
+    }
+}
+
+// Wraps a callback of an adaptor so that its errors become stage errors.
+// Each call counts as the next element, and `pick` picks the element out of the arguments.
+// Promises returned by the callback are wrapped too, for async adaptors.
+const stageCallback = (stage, position, fn, pick = args => args[0]) => {
+    let index = 0;
+    const wrapped = (...args) => {
+        const i = index++;
+        const wrap = err => new StageError(stage, position, i, pick(args), err);
+        let result;
+        try {
+            result = fn(...args);
+        } catch (err) {
+            throw wrap(err);
+        }
+
+        return result != null && typeof result.then === 'function'
+            ? result.then(null, err => Promise.reject(wrap(err)))
+            : result;
+    };
+
+    // The length is kept, since it says whether the callback takes an index.
+    Object.defineProperty(wrapped, 'length', { value: fn.length });
+    return wrapped;
+};
+
+module.exports = {
+    stageErrors,
+    StageError,
+    stageCallback
+};
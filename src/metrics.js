@@ -0,0 +1,142 @@
+const { performance } = require('perf_hooks');
+const { stageName } = require('./trace');
+
+// Whether every iterator made counts its elements, and the hook that is given each stage once it finishes.
+const measuring = { enabled: false, onStage: null };
+
+// Wraps a callback of an adaptor so that the time spent in it is added up.
+// Promises returned by the callback count until they settle, for async adaptors.
+const timeCallback = fn => {
+    const timer = { time: 0 };
+    const timed = (...args) => {
+        const start = performance.now();
+        const stop = () => {
+            timer.time += performance.now() - start;
+        };
+
+        let result;
+        try {
+            result = fn(...args);
+        } catch (err) {
+            stop();
+            throw err;
+        }
+
+        if (result != null && typeof result.then === 'function') {
+            return result.then(value => {
+                stop();
+                return value;
+            }, err => {
+                stop();
+                throw err;
+            });
+        }
+
+        stop();
+        return result;
+    };
+
+    // The length is kept, since it says whether the callback takes an index.
+    Object.defineProperty(timed, 'length', { value: fn.length });
+    timed.timer = timer;
+    return timed;
+};
+
+// The metrics of one iterator in a chain, where the amount it pulled is the amount the iterator below it yielded.
+const stageMetrics = (iter, base) => {
+    let position = -1;
+    for (let link = iter; link instanceof base; link = link.iterator) {
+        position++;
+    }
+
+    const { counts } = iter;
+    const below = iter.iterator instanceof base && iter.iterator.counts;
+    const pulled = below ? below.emitted : counts.emitted;
+    const dropped = Math.max(pulled - counts.emitted, 0);
+    return {
+        stage: counts.stage === null ? stageName(iter, base) : counts.stage,
+        position,
+        pulled,
+        emitted: counts.emitted,
+        dropped,
+        dropRate: pulled ? dropped / pulled : 0,
+        callbackTime: iter.fn && iter.fn.timer ? iter.fn.timer.time : 0
+    };
+};
+
+// The metrics of every measured iterator in the chain below an iterator, from the source up.
+const chainMetrics = (iter, base) => {
+    const stages = [];
+    for (let link = iter; link instanceof base; link = link.iterator) {
+        if (link.counts) {
+            stages.unshift(stageMetrics(link, base));
+        }
+    }
+
+    return stages;
+};
+
+// Counts the elements an iterator yields, and calls the hook once it is done or closed.
+// Adaptors that call their own `next` again to skip elements are only counted once per pull.
+// The name of the stage is kept from its first pull, since names like `Take(5)` count down as it is pulled.
+const measureIterator = (iter, base) => {
+    const counts = { stage: null, emitted: 0, finished: false };
+    const { onStage } = measuring;
+    const finish = () => {
+        if (!counts.finished) {
+            counts.finished = true;
+            if (onStage) {
+                onStage(stageMetrics(iter, base));
+            }
+        }
+    };
+
+    const pull = iter.next.bind(iter);
+    const close = iter.return.bind(iter);
+    let pulling = false;
+    const count = item => {
+        if (item.done) {
+            finish();
+        } else {
+            counts.emitted++;
+        }
+
+        return item;
+    };
+
+    iter.counts = counts;
+    iter.next = () => {
+        if (pulling) {
+            return pull();
+        }
+
+        if (counts.stage === null) {
+            counts.stage = stageName(iter, base);
+        }
+
+        let result;
+        pulling = true;
+        try {
+            result = pull();
+        } finally {
+            pulling = false;
+        }
+
+        return typeof result.then === 'function'
+            ? result.then(count)
+            : count(result);
+    };
+
+    iter.return = value => {
+        const result = close(value);
+        finish();
+        return result;
+    };
+};
+
+module.exports = {
+    measuring,
+    timeCallback,
+    chainMetrics,
+    measureIterator
+};
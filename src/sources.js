@@ -0,0 +1,334 @@
+// Raw iterators over in-memory sources.
+// These know their bounds, so they can report their size, skip ahead without iterating,
+// and most can be iterated from both ends.
+// Those with a `drive` method can also push their values into a sink until it returns false,
+// which returns whether the source was exhausted.
+
+class ArraySource {
+    constructor(array) {
+        this.array = array;
+        this.front = 0;
+        this.back = null;
+    }
+
+    next() {
+        const end = this.back === null ? this.array.length : this.back;
+        if (this.front >= end) {
+            this.back = this.front;
+            return { done: true };
+        }
+
+        return { done: false, value: this.array[this.front++] };
+    }
+
+    nextBack() {
+        if (this.back === null) {
+            this.back = this.array.length;
+        }
+
+        if (this.front >= this.back) {
+            return { done: true };
+        }
+
+        return { done: false, value: this.array[--this.back] };
+    }
+
+    drive(sink) {
+        const end = this.back === null ? this.array.length : this.back;
+        while (this.front < end) {
+            if (!sink(this.array[this.front++])) {
+                return false;
+            }
+        }
+
+        this.back = this.front;
+        return true;
+    }
+
+    advanceBy(amount) {
+        const end = this.back === null ? this.array.length : this.back;
+        const advanced = Math.min(amount, Math.max(end - this.front, 0));
+        this.front += advanced;
+        return advanced;
+    }
+
+    sizeHint() {
+        const end = this.back === null ? this.array.length : this.back;
+        const length = Math.max(end - this.front, 0);
+        return [length, length];
+    }
+}
+
+const isHighSurrogate = code => code >= 0xD800 && code <= 0xDBFF;
+const isLowSurrogate = code => code >= 0xDC00 && code <= 0xDFFF;
+
+// Yields code points like the string iterator does.
+// The amount of code points is not known without scanning, so the size is only bounded.
+class StringSource {
+    constructor(string) {
+        this.string = string;
+        this.front = 0;
+        this.back = string.length;
+    }
+
+    next() {
+        if (this.front >= this.back) {
+            return { done: true };
+        }
+
+        const start = this.front;
+        this.front += isHighSurrogate(this.string.charCodeAt(start))
+            && start + 1 < this.back
+            && isLowSurrogate(this.string.charCodeAt(start + 1))
+            ? 2
+            : 1;
+
+        return { done: false, value: this.string.slice(start, this.front) };
+    }
+
+    nextBack() {
+        if (this.front >= this.back) {
+            return { done: true };
+        }
+
+        const end = this.back;
+        this.back -= isLowSurrogate(this.string.charCodeAt(end - 1))
+            && end - 2 >= this.front
+            && isHighSurrogate(this.string.charCodeAt(end - 2))
+            ? 2
+            : 1;
+
+        return { done: false, value: this.string.slice(this.back, end) };
+    }
+
+    sizeHint() {
+        const units = this.back - this.front;
+        return [Math.ceil(units / 2), units];
+    }
+}
+
+// Values are computed from the index so that fractional steps do not drift.
+class RangeSource {
+    constructor(start, step, length) {
+        this.start = start;
+        this.step = step;
+        this.front = 0;
+        this.back = length;
+    }
+
+    next() {
+        if (this.front >= this.back) {
+            return { done: true };
+        }
+
+        return { done: false, value: this.start + (this.front++ * this.step) };
+    }
+
+    nextBack() {
+        if (this.front >= this.back) {
+            return { done: true };
+        }
+
+        return { done: false, value: this.start + (--this.back * this.step) };
+    }
+
+    drive(sink) {
+        while (this.front < this.back) {
+            if (!sink(this.start + (this.front++ * this.step))) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    advanceBy(amount) {
+        const advanced = Math.min(amount, this.back - this.front);
+        this.front += advanced;
+        return advanced;
+    }
+
+    sizeHint() {
+        const length = this.back - this.front;
+        return [length, length];
+    }
+}
+
+// Like RangeSource, but for BigInts, whose ranges can be longer than numbers can count.
+class BigIntRangeSource {
+    constructor(start, step, length) {
+        this.start = start;
+        this.step = step;
+        this.front = BigInt(0);
+        this.back = length;
+    }
+
+    next() {
+        if (this.front >= this.back) {
+            return { done: true };
+        }
+
+        const value = this.start + (this.front * this.step);
+        this.front++;
+        return { done: false, value };
+    }
+
+    nextBack() {
+        if (this.front >= this.back) {
+            return { done: true };
+        }
+
+        this.back--;
+        return { done: false, value: this.start + (this.back * this.step) };
+    }
+
+    drive(sink) {
+        while (this.front < this.back) {
+            const value = this.start + (this.front * this.step);
+            this.front++;
+            if (!sink(value)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    advanceBy(amount) {
+        const remaining = this.back - this.front;
+        const advanced = amount >= Number(remaining)
+            ? remaining
+            : BigInt(amount);
+
+        this.front += advanced;
+        return Number(advanced);
+    }
+
+    sizeHint() {
+        const length = Number(this.back - this.front);
+        return [length, length];
+    }
+}
+
+// An endless range, which has no back.
+// Its end is still kept as `back`, so that it can be read like the finite ranges.
+class CountSource {
+    constructor(start, step) {
+        this.start = start;
+        this.step = step;
+        this.front = 0;
+        this.back = Infinity;
+    }
+
+    next() {
+        return { done: false, value: this.start + (this.front++ * this.step) };
+    }
+
+    drive(sink) {
+        while (sink(this.start + (this.front++ * this.step))) {
+            // Runs until the sink stops it.
+        }
+
+        return false;
+    }
+
+    advanceBy(amount) {
+        this.front += amount;
+        return amount;
+    }
+
+    sizeHint() {
+        return [Infinity, Infinity];
+    }
+}
+
+// An endless range of BigInts.
+class BigIntCountSource {
+    constructor(start, step) {
+        this.start = start;
+        this.step = step;
+        this.front = BigInt(0);
+        this.back = Infinity;
+    }
+
+    next() {
+        const value = this.start + (this.front * this.step);
+        this.front++;
+        return { done: false, value };
+    }
+
+    drive(sink) {
+        let value = this.start + (this.front * this.step);
+        this.front++;
+        while (sink(value)) {
+            value = this.start + (this.front * this.step);
+            this.front++;
+        }
+
+        return false;
+    }
+
+    // Advancing forever is only counted, since BigInts cannot be infinite.
+    advanceBy(amount) {
+        if (amount !== Infinity) {
+            this.front += BigInt(amount);
+        }
+
+        return amount;
+    }
+
+    sizeHint() {
+        return [Infinity, Infinity];
+    }
+}
+
+class RepeatSource {
+    constructor(item, amount) {
+        this.item = item;
+        this.amount = Math.max(Math.ceil(amount), 0);
+    }
+
+    next() {
+        if (this.amount <= 0) {
+            return { done: true };
+        }
+
+        this.amount--;
+        return { done: false, value: this.item };
+    }
+
+    nextBack() {
+        return this.next();
+    }
+
+    drive(sink) {
+        while (this.amount > 0) {
+            this.amount--;
+            if (!sink(this.item)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    advanceBy(amount) {
+        const advanced = Math.min(amount, this.amount);
+        this.amount -= advanced;
+        return advanced;
+    }
+
+    sizeHint() {
+        return [this.amount, this.amount];
+    }
+}
+
+module.exports = {
+    ArraySource,
+    StringSource,
+    RangeSource,
+    BigIntRangeSource,
+    CountSource,
+    BigIntCountSource,
+    RepeatSource
+};
@@ -0,0 +1,157 @@
+// Accumulators for statistics over a stream of numbers.
+// Each one takes values one at a time with `push`, so the values never need to be collected.
+
+// Neumaier's variant of Kahan summation.
+// The low-order bits lost by each addition are summed up separately and added back at the end.
+class CompensatedSum {
+    constructor() {
+        this.sum = 0;
+        this.compensation = 0;
+    }
+
+    push(value) {
+        const total = this.sum + value;
+        if (Math.abs(this.sum) >= Math.abs(value)) {
+            this.compensation += (this.sum - total) + value;
+        } else {
+            this.compensation += (value - total) + this.sum;
+        }
+
+        this.sum = total;
+    }
+
+    get value() {
+        return this.sum + this.compensation;
+    }
+}
+
+// Welford's algorithm, which updates the mean and the sum of squared differences from it.
+// This avoids the cancellation of subtracting the squared mean from the mean of squares.
+class RunningVariance {
+    constructor() {
+        this.count = 0;
+        this.mean = 0;
+        this.squares = 0;
+    }
+
+    push(value) {
+        this.count++;
+        const delta = value - this.mean;
+        this.mean += delta / this.count;
+        this.squares += delta * (value - this.mean);
+    }
+
+    variance(sample) {
+        const divisor = sample
+            ? this.count - 1
+            : this.count;
+
+        return divisor > 0
+            ? this.squares / divisor
+            : undefined;
+    }
+}
+
+const checkProbabilities = ps => {
+    if (!ps.every(p => p >= 0 && p <= 1)) {
+        throw new RangeError('Quantiles must be numbers between 0 and 1');
+    }
+};
+
+// Interpolates between the closest ranks, which is what most spreadsheets and numpy do by default.
+const exactQuantiles = (values, ps) => {
+    const sorted = Float64Array.from(values).sort();
+    return ps.map(p => {
+        if (!sorted.length) {
+            return undefined;
+        }
+
+        const rank = (sorted.length - 1) * p;
+        const lower = Math.floor(rank);
+        return lower + 1 < sorted.length
+            ? sorted[lower] + ((rank - lower) * (sorted[lower + 1] - sorted[lower]))
+            : sorted[lower];
+    });
+};
+
+// The P² algorithm by Jain and Chlamtac, which estimates a quantile with five markers.
+// The markers are heights at positions that are moved towards their desired positions as values come in,
+// adjusting the heights with a piecewise-parabolic fit.
+// Until there are five values, the quantile is exact.
+class QuantileSketch {
+    constructor(p) {
+        this.p = p;
+        this.count = 0;
+        this.heights = [];
+        this.positions = [0, 1, 2, 3, 4];
+        this.desired = [0, 2 * p, 4 * p, 2 + (2 * p), 4];
+        this.increments = [0, p / 2, p, (1 + p) / 2, 1];
+    }
+
+    push(value) {
+        this.count++;
+        const { heights, positions } = this;
+        if (this.count <= 5) {
+            heights.push(value);
+            heights.sort((a, b) => a - b);
+            return;
+        }
+
+        let k;
+        if (value < heights[0]) {
+            heights[0] = value;
+            k = 0;
+        } else if (value >= heights[4]) {
+            heights[4] = value;
+            k = 3;
+        } else {
+            k = 0;
+            while (value >= heights[k + 1]) {
+                k++;
+            }
+        }
+
+        for (let i = k + 1; i < 5; i++) {
+            positions[i]++;
+        }
+
+        for (let i = 0; i < 5; i++) {
+            this.desired[i] += this.increments[i];
+        }
+
+        for (let i = 1; i < 4; i++) {
+            const offset = this.desired[i] - positions[i];
+            if ((offset >= 1 && positions[i + 1] - positions[i] > 1) || (offset <= -1 && positions[i - 1] - positions[i] < -1)) {
+                const d = Math.sign(offset);
+                const height = this.parabolic(i, d);
+                heights[i] = heights[i - 1] < height && height < heights[i + 1]
+                    ? height
+                    : heights[i] + ((d * (heights[i + d] - heights[i])) / (positions[i + d] - positions[i]));
+
+                positions[i] += d;
+            }
+        }
+    }
+
+    parabolic(i, d) {
+        const { heights: q, positions: n } = this;
+        return q[i] + ((d / (n[i + 1] - n[i - 1])) * (
+            (((n[i] - n[i - 1] + d) * (q[i + 1] - q[i])) / (n[i + 1] - n[i]))
+            + (((n[i + 1] - n[i] - d) * (q[i] - q[i - 1])) / (n[i] - n[i - 1]))
+        ));
+    }
+
+    get value() {
+        return this.count <= 5
+            ? exactQuantiles(this.heights, [this.p])[0]
+            : this.heights[2];
+    }
+}
+
+module.exports = {
+    CompensatedSum,
+    RunningVariance,
+    checkProbabilities,
+    exactQuantiles,
+    QuantileSketch
+};
@@ -0,0 +1,100 @@
+const { performance } = require('perf_hooks');
+const { preview } = require('./util');
+
+const writeLine = line => {
+    process.stderr.write(`${line}\n`);
+};
+
+// Whether every iterator made is traced, and where the trace is written to.
+const debugging = { enabled: false, log: writeLine };
+
+// Wraps the `next` of an iterator so that each pull is logged, with what it yielded or threw and how long that took.
+// Async iterators return promises, which are logged once settled.
+// Adaptors that call their own `next` again to skip elements are not logged again while inside the first call.
+// The label can be a function, which is called on the first pull, for iterators that are traced before they are set up.
+const traceNext = (label, pull, log = writeLine) => {
+    let name = label;
+    let count = 0;
+    let pulling = false;
+    return () => {
+        if (pulling) {
+            return pull();
+        }
+
+        if (typeof name === 'function') {
+            name = name();
+        }
+
+        const i = count++;
+        const start = performance.now();
+        const elapsed = () => `${(performance.now() - start).toFixed(3)}ms`;
+        const finish = item => {
+            log(item.done
+                ? `[${name}] done on pull ${i} (${elapsed()})`
+                : `[${name}] yield ${i}: ${preview(item.value)} (${elapsed()})`);
+
+            return item;
+        };
+
+        const fail = err => {
+            log(`[${name}] threw on pull ${i}: ${err instanceof Error ? err.message : preview(err)} (${elapsed()})`);
+            throw err;
+        };
+
+        log(`[${name}] pull ${i}`);
+        let result;
+        pulling = true;
+        try {
+            result = pull();
+        } catch (err) {
+            fail(err);
+        } finally {
+            pulling = false;
+        }
+
+        return typeof result.then === 'function'
+            ? result.then(finish, fail)
+            : finish(result);
+    };
+};
+
+// Fields that say how an adaptor was made, shown after its name.
+const details = ['label', 'takeAmount', 'skipAmount', 'stepSize', 'chunkSize', 'size', 'depth', 'k'];
+
+// The name of an iterator in a chain, such as `Take(10)` for a TakeIterator,
+// or the name of the source for a plain lazy iterator of the base class.
+const stageName = (iter, base) => {
+    if (iter.constructor !== base) {
+        const name = iter.constructor.name.replace(/^Async/, '').replace(/Iterator$/, '');
+        const detail = details.map(key => iter[key]).find(value => typeof value === 'number' || typeof value === 'string');
+        return detail === undefined
+            ? name
+            : `${name}(${detail})`;
+    }
+
+    const source = iter.iterator;
+    if (source == null) {
+        return 'Iterator';
+    }
+
+    return (source[Symbol.toStringTag] || source.constructor.name).replace(/Source$/, '');
+};
+
+// Describes the chain of iterators below an iterator, from the source up, like `Range -> Map -> Take(10)`.
+// Only the first iterator of adaptors over many iterators is followed.
+const describeChain = (iter, base) => {
+    const names = [];
+    for (let link = iter; link instanceof base; link = link.iterator) {
+        names.unshift(stageName(link, base));
+    }
+
+    return names.join(' -> ');
+};
+
+module.exports = {
+    writeLine,
+    debugging,
+    traceNext,
+    stageName,
+    describeChain
+};
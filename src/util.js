@@ -0,0 +1,249 @@
+const { inspect } = require('util');
+
+const sameValueZero = (a, b) => {
+    if (a === 0 && b === 0) {
+        return 1 / a === 1 / b;
+    }
+
+    if (a === b) {
+        return true;
+    }
+
+    return isNaN(a) && isNaN(b);
+};
+
+const consFunctions = {
+    Array: () => {
+        return [];
+    },
+    Set: () => {
+        return new Set();
+    },
+    Map: () => {
+        return new Map();
+    },
+    String: () => {
+        return '';
+    }
+};
+
+const extendFunctions = {
+    Array: (c, i) => {
+        c.push(i);
+        return c;
+    },
+    Set: (c, i) => {
+        c.add(i);
+        return c;
+    },
+    Map: (c, i) => {
+        c.set(i[0], i[1]);
+        return c;
+    },
+    String: (c, i) => {
+        return c + i;
+    }
+};
+
+const defineCollectionMethods = cls => {
+    for (const type of ['Array', 'Set', 'Map', 'String']) {
+        const fnName = `collect${type}`;
+        Object.defineProperty(cls.prototype, fnName, {
+            value: {
+                // eslint-disable-next-line func-names
+                [fnName]: function () {
+                    return this.collect(consFunctions[type], extendFunctions[type]);
+                }
+            }[fnName],
+            writable: true,
+            enumerable: false,
+            configurable: true
+        });
+    }
+
+    for (const method of ['partition', 'unzip', 'group', 'categorize']) {
+        for (const type of ['Array', 'Set', 'Map', 'String']) {
+            const fnName = `${method}${type}`;
+            Object.defineProperty(cls.prototype, fnName, {
+                value: {
+                    // eslint-disable-next-line func-names
+                    [fnName]: function (a1) {
+                        return this[method](a1, consFunctions[type], extendFunctions[type]);
+                    }
+                }[fnName],
+                writable: true,
+                enumerable: false,
+                configurable: true
+            });
+        }
+    }
+};
+
+// Gives a sequence class the methods of its iterator class, for sequences that make a new iterator each time.
+// Adaptors make a new sequence whose iterators are adapted the same way, while everything else is called on a new iterator.
+const defineSeqMethods = (seqClass, iterClass, adaptors) => {
+    const skipped = ['constructor', 'next', 'nextBack', 'peek', 'pull', 'return', 'throw', 'advanceBy', 'drive'];
+    for (const name of Object.getOwnPropertyNames(iterClass.prototype)) {
+        if (skipped.includes(name) || Object.prototype.hasOwnProperty.call(seqClass.prototype, name)) {
+            continue;
+        }
+
+        const { get } = Object.getOwnPropertyDescriptor(iterClass.prototype, name);
+        if (get) {
+            Object.defineProperty(seqClass.prototype, name, {
+                get() {
+                    return this.iter()[name];
+                },
+                enumerable: false,
+                configurable: true
+            });
+
+            continue;
+        }
+
+        Object.defineProperty(seqClass.prototype, name, {
+            value: adaptors.includes(name)
+                ? {
+                    [name](...args) {
+                        return new this.constructor(() => this.iter()[name](...args));
+                    }
+                }[name]
+                : {
+                    [name](...args) {
+                        return this.iter()[name](...args);
+                    }
+                }[name],
+            writable: true,
+            enumerable: false,
+            configurable: true
+        });
+    }
+};
+
+// A short, one-line description of a value, for messages.
+const preview = value => {
+    const text = inspect(value, { depth: 1, breakLength: Infinity, maxArrayLength: 5, maxStringLength: 40 });
+    return text.length > 80
+        ? `${text.slice(0, 79)}…`
+        : text;
+};
+
+// eslint-disable-next-line valid-typeof
+const isBigInt = val => typeof val === 'bigint';
+
+// Whether a callback may use the index of an element, given as the argument after the element.
+// Only callbacks that declare exactly one parameter are known not to, so the index is not counted for them.
+const takesIndex = fn => fn.length !== 1;
+
+const defaultCompare = (a, b) => a < b ? -1 : a > b ? 1 : 0;
+
+// A binary min-heap ordered by a comparator.
+// Given items are taken over and heapified in linear time.
+class Heap {
+    constructor(compare, items = []) {
+        this.compare = compare;
+        this.items = items;
+        for (let i = (items.length >> 1) - 1; i >= 0; i--) {
+            this.siftDown(i);
+        }
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    push(item) {
+        this.items.push(item);
+        this.siftUp(this.items.length - 1);
+    }
+
+    pop() {
+        const top = this.items[0];
+        const last = this.items.pop();
+        if (this.items.length) {
+            this.items[0] = last;
+            this.siftDown(0);
+        }
+
+        return top;
+    }
+
+    // Replaces the top item, which is cheaper than a pop followed by a push.
+    replaceTop(item) {
+        const top = this.items[0];
+        this.items[0] = item;
+        this.siftDown(0);
+        return top;
+    }
+
+    siftUp(index) {
+        const { items } = this;
+        const item = items[index];
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.compare(item, items[parent]) >= 0) {
+                break;
+            }
+
+            items[index] = items[parent];
+            index = parent;
+        }
+
+        items[index] = item;
+    }
+
+    siftDown(index) {
+        const { items } = this;
+        const item = items[index];
+        const half = items.length >> 1;
+        while (index < half) {
+            let child = (2 * index) + 1;
+            if (child + 1 < items.length && this.compare(items[child + 1], items[child]) < 0) {
+                child++;
+            }
+
+            if (this.compare(items[child], item) >= 0) {
+                break;
+            }
+
+            items[index] = items[child];
+            index = child;
+        }
+
+        items[index] = item;
+    }
+}
+
+// Separates a trailing options object from variadic iterator arguments.
+// Only plain objects count as options, since iterators and iterables can be any object.
+const splitOptions = args => {
+    const last = args[args.length - 1];
+    const isOptions = last != null
+        && typeof last === 'object'
+        && [Object.prototype, null].includes(Object.getPrototypeOf(last))
+        && typeof last.next !== 'function'
+        && last[Symbol.iterator] == null
+        && last[Symbol.asyncIterator] == null;
+
+    return isOptions
+        ? [args.slice(0, -1), last]
+        : [args, {}];
+};
+
+module.exports = {
+    sameValueZero,
+    consFunctions,
+    extendFunctions,
+    defineCollectionMethods,
+    defineSeqMethods,
+    splitOptions,
+    defaultCompare,
+    Heap,
+    isBigInt,
+    takesIndex,
+    preview
+};
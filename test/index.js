@@ -1,5 +1,6 @@
 const assert = require('assert');
 const lazy = require('..');
+const AsyncLazyIterator = require('../src/AsyncLazyIterator');
 
 const equal = (a, b) => {
     try {
@@ -16,6 +17,60 @@ const should = (desc, fn) => {
     }
 };
 
+let pending = Promise.resolve();
+const shouldEventually = (desc, fn) => {
+    pending = pending.then(fn).then(res => {
+        if (!res) {
+            throw new Error(`Test did not ${desc}`);
+        }
+    });
+};
+
+process.on('unhandledRejection', err => {
+    throw err;
+});
+
+const delay = (value, ms = 1) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+// Makes generators over 1 to 4 that count how many of them were closed.
+const closeCounter = () => {
+    const counter = { closed: 0 };
+    counter.gen = function* gen() {
+        try {
+            yield* [1, 2, 3, 4];
+        } finally {
+            counter.closed++;
+        }
+    };
+
+    counter.genAsync = async function* genAsync() {
+        try {
+            yield await delay(1);
+            yield* [2, 3, 4];
+        } finally {
+            counter.closed++;
+        }
+    };
+
+    return counter;
+};
+
+// An iterable over some items whose iterators push its name to `closed` when they are closed early.
+const tracked = (closed, name, items) => ({
+    [Symbol.iterator]() {
+        let i = 0;
+        return {
+            next: () => i < items.length
+                ? { done: false, value: items[i++] }
+                : { done: true },
+            return: () => {
+                closed.push(name);
+                return { done: true };
+            }
+        };
+    }
+});
+
 should('take in an iterable', () => {
     const res = lazy.from([1, 2, 3, 4]).collect();
     return equal(res, [1, 2, 3, 4]);
@@ -402,3 +457,1233 @@ should('generate the fibonacci sequence', () => {
         .collect();
     return equal(res, [0, 1, 1, 2, 3, 5, 8, 13, 21, 34]);
 });
+
+shouldEventually('take in an async iterable', async () => {
+    const res = await lazy.fromAsync(async function* gen() {
+        yield 1;
+        yield await delay(2);
+        yield 3;
+    }()).collect();
+    return equal(res, [1, 2, 3]);
+});
+
+shouldEventually('convert a lazy iterator into an async iterator', async () => {
+    const res = await lazy.range(1, 5)
+        .toAsync()
+        .map(n => delay(n * 2))
+        .collect();
+    return equal(res, [2, 4, 6, 8]);
+});
+
+shouldEventually('be iterable with for await', async () => {
+    const res = [];
+    for await (const value of lazy.fromAsync([delay(1), 2, delay(3)])) {
+        res.push(value);
+    }
+
+    return equal(res, [1, 2, 3]);
+});
+
+shouldEventually('filter and scan asynchronously', async () => {
+    const res = await lazy.fromAsync([1, 2, 3, 4, 5, 6])
+        .filter(n => delay(n % 2 === 0))
+        .scan((acc, n) => delay(acc + n), 0)
+        .collect();
+    return equal(res, [0, 2, 6, 12]);
+});
+
+shouldEventually('zip sync and async iterators together', async () => {
+    const res = await lazy.fromAsync([1, 2, 3])
+        .zip(lazy.fromAsync(['a', 'b', 'c', 'd']), [true, false, true])
+        .collect();
+    return equal(res, [[1, 'a', true], [2, 'b', false], [3, 'c', true]]);
+});
+
+shouldEventually('flatten async values mapped into iterators', async () => {
+    const res = await lazy.fromAsync([1, 2, 3])
+        .flatMap(n => delay(lazy.fromAsync([n, n * 10])))
+        .chunk(4)
+        .collect();
+    return equal(res, [[1, 10, 2, 20], [3, 30]]);
+});
+
+shouldEventually('join an async iterator', async () => {
+    const res = await lazy.fromAsync([1, 2, 3])
+        .map(n => n * 2)
+        .join(0)
+        .collect();
+    return equal(res, [2, 0, 4, 0, 6]);
+});
+
+shouldEventually('reduce and find asynchronously', async () => {
+    const sum = await lazy.fromAsync([1, 2, 3, 4]).reduce((acc, n) => delay(acc + n));
+    const found = await lazy.fromAsync([1, 2, 3, 4]).find(n => delay(n > 2));
+    return sum === 10 && found === 3;
+});
+
+shouldEventually('categorize elements asynchronously', async () => {
+    const res = await lazy.fromAsync(['a', 'A', 'b', 'B']).categorize(c => delay(c.toUpperCase()));
+    return equal(res, new Map([
+        ['A', ['a', 'A']],
+        ['B', ['b', 'B']]
+    ]));
+});
+
+shouldEventually('map concurrently in order', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const res = await lazy.range(0, 8)
+        .mapConcurrent(async n => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await delay(null, (8 - n) * 2);
+            running--;
+            return n * 2;
+        }, { concurrency: 3 })
+        .collect();
+    return equal(res, [0, 2, 4, 6, 8, 10, 12, 14]) && maxRunning === 3;
+});
+
+shouldEventually('map concurrently in order of completion', async () => {
+    const res = await lazy.fromAsync([30, 10, 20])
+        .mapConcurrent(n => delay(n, n), { concurrency: 3, ordered: false })
+        .collect();
+    return equal(res, [10, 20, 30]);
+});
+
+shouldEventually('close the source when a concurrent mapping fails', async () => {
+    const counter = closeCounter();
+    const iterator = lazy.fromAsync(counter.genAsync())
+        .mapConcurrent(n => n === 2 ? Promise.reject(new Error('Failed')) : n, { concurrency: 2 });
+
+    const first = await iterator.next();
+    try {
+        await iterator.next();
+        return false;
+    } catch (e) {
+        return first.value === 1
+            && counter.closed === 1
+            && (await iterator.next()).done;
+    }
+});
+
+shouldEventually('reject when a concurrent mapping fails', async () => {
+    try {
+        await lazy.fromAsync([1, 2, 3])
+            .mapConcurrent(n => {
+                if (n === 2) {
+                    throw new Error('Failed on 2');
+                }
+
+                return delay(n, 5);
+            }, { concurrency: 2, ordered: false })
+            .collect();
+        return false;
+    } catch (e) {
+        return e.message === 'Failed on 2';
+    }
+});
+
+should('close the source when breaking out of a loop', () => {
+    const counter = closeCounter();
+    const { gen } = counter;
+    // eslint-disable-next-line no-unused-vars
+    for (const value of lazy.from(gen()).map(n => n * 2).filter(n => n > 2)) {
+        break;
+    }
+
+    lazy.from(gen()).take(2).collect();
+    lazy.from(gen()).find(n => n === 2);
+    lazy.from(gen()).at(1);
+    return counter.closed === 4;
+});
+
+should('close every inner iterator exactly once', () => {
+    const closed = [];
+    const track = (name, items) => tracked(closed, name, items);
+    const zipped = lazy.from(track('a', [1, 2, 3])).zip(track('b', [1, 2]), track('c', [1, 2, 3, 4]));
+    zipped.collect();
+    zipped.return();
+    lazy.from([track('d', [1, 2]), track('e', [3, 4])]).flat().take(1).collect();
+    lazy.from(track('f', [1, 2])).concat(track('g', [3]), track('h', [4])).take(3).collect();
+    return equal(closed.sort(), ['a', 'c', 'd', 'g', 'h']);
+});
+
+should('yield nothing more once closed', () => {
+    const iterator = lazy.from([1, 2, 3, 4]);
+    iterator.find(n => n === 2);
+    const range = lazy.range(0, 5);
+    range.next();
+    range.return();
+    return iterator.next().done && iterator.peek().done && iterator.count() === 0
+        && range.next().done && equal(range.collect(), []);
+});
+
+shouldEventually('yield nothing more once an async iterator is closed', async () => {
+    const iterator = lazy.fromAsync([1, 2, 3, 4]);
+    await iterator.find(n => n === 2);
+    return (await iterator.next()).done && equal(await iterator.collect(), []);
+});
+
+shouldEventually('close an async source when breaking out of a loop', async () => {
+    const counter = closeCounter();
+    const { genAsync: gen } = counter;
+    // eslint-disable-next-line no-unused-vars
+    for await (const value of lazy.fromAsync(gen()).map(n => n * 2)) {
+        break;
+    }
+
+    await lazy.fromAsync(gen()).zip(gen()).take(2).collect();
+    await lazy.fromAsync(gen()).some(n => n === 2);
+    return counter.closed === 4;
+});
+
+should('iterate from both ends', () => {
+    const iterator = lazy.from([1, 2, 3, 4, 5]);
+    const res = [iterator.next().value, iterator.nextBack().value, iterator.nextBack().value];
+    return equal(res, [1, 5, 4]) && equal(iterator.collect(), [2, 3]);
+});
+
+should('reverse a double-ended iterator', () => {
+    const res1 = lazy.range(0, 10)
+        .map(n => n * 2)
+        .filter(n => n % 3 === 0)
+        .rev()
+        .collect();
+    const res2 = lazy.from('ab\u{1F600}c').rev().collectString();
+    return equal(res1, [18, 12, 6, 0]) && res2 === 'c\u{1F600}ba';
+});
+
+should('reverse zipped, enumerated and chunked iterators', () => {
+    const res1 = lazy.from([1, 2, 3])
+        .zip(['a', 'b', 'c', 'd', 'e'])
+        .rev()
+        .collect();
+    const res2 = lazy.of('a', 'b', 'c')
+        .enumerate()
+        .rev()
+        .collect();
+    const res3 = lazy.range(1, 8)
+        .chunk(3)
+        .rev()
+        .collect();
+    return equal(res1, [[3, 'c'], [2, 'b'], [1, 'a']])
+        && equal(res2, [[2, 'c'], [1, 'b'], [0, 'a']])
+        && equal(res3, [[7], [4, 5, 6], [1, 2, 3]]);
+});
+
+should('not reverse an iterator that is not double-ended', () => {
+    try {
+        lazy.range(0, 10).skip(2).rev();
+        return false;
+    } catch (e) {
+        return /^Iterator is not double-ended$/.test(e.message);
+    }
+});
+
+should('retrieve the last element from the back', () => {
+    let count = 0;
+    const res = lazy.range(0, 1e9)
+        .map(n => {
+            count++;
+            return n;
+        })
+        .last();
+    return res === 1e9 - 1 && count === 1;
+});
+
+should('call each for every element when retrieving the last element', () => {
+    let count = 0;
+    const res = lazy.from([1, 2, 3])
+        .each(() => count++)
+        .last();
+    return res === 3 && count === 3 && !lazy.from([1]).each(() => null).doubleEnded;
+});
+
+should('find a value from the back', () => {
+    const res1 = lazy.from([1, 2, 3, 4]).rfind(n => n % 2 === 1);
+    const res2 = lazy.from([1, 2, 3, 1, 2]).rposition(n => n === 1);
+    const res3 = lazy.from([1, 2, 3]).rposition(n => n === 4);
+    return res1 === 3 && res2 === 3 && res3 === -1;
+});
+
+should('give bounds on the size of the iterator', () => {
+    return equal(lazy.range(0, 10).sizeHint(), [10, 10])
+        && equal(lazy.range(0, 10).filter(n => n % 2 === 0).sizeHint(), [0, 10])
+        && equal(lazy.range(0, 100).stepBy(3).skip(4).take(20).sizeHint(), [20, 20])
+        && equal(lazy.from([1, 2, 3]).zip(lazy.range()).chunk(2).sizeHint(), [2, 2])
+        && equal(lazy.range().map(n => n * 2).sizeHint(), [Infinity, Infinity])
+        && equal(lazy.from(new Set([1, 2])).sizeHint(), [0, Infinity])
+        && lazy.from([1, 2, 3]).join(0).len() === 5;
+});
+
+should('count, skip and index exact-size sources without iterating', () => {
+    const res1 = lazy.range(0, 1e12).count();
+    const res2 = lazy.repeat('a', 1e12).skip(1e12 - 2).collect();
+    const res3 = lazy.range(0, 1e12).at(5e11);
+    const res4 = lazy.range().skip(1e12).take(3).collect();
+    return res1 === 1e12 && equal(res2, ['a', 'a']) && res3 === 5e11 && equal(res4, [1e12, 1e12 + 1, 1e12 + 2]);
+});
+
+should('take and repeat negative and fractional amounts', () => {
+    return equal(lazy.from([1, 2, 3]).take(-1).collect(), [])
+        && equal(lazy.from([1, 2, 3]).take(1.5).collect(), [1, 2])
+        && equal(lazy.from([1, 2, 3]).take(1.5).sizeHint(), [2, 2])
+        && equal(lazy.repeat('a', -1).collect(), [])
+        && equal(lazy.repeat('a', 2.5).collect(), ['a', 'a', 'a'])
+        && lazy.repeat('a', 2.5).count() === 3;
+});
+
+shouldEventually('take negative and fractional amounts of async iterators', async () => {
+    return equal(await lazy.fromAsync([1, 2, 3]).take(-1).collect(), [])
+        && equal(await lazy.fromAsync([1, 2, 3]).take(1.5).collect(), [1, 2]);
+});
+
+should('give the size of a joined iterator while iterating it', () => {
+    const joined = lazy.from([1, 2, 3]).join(0);
+    const hints = [joined.len()];
+    for (let i = 0; i < 5; i++) {
+        joined.next();
+        hints.push(joined.len());
+    }
+
+    const rest = lazy.from([1, 2, 3]).join(0);
+    rest.next();
+    rest.next();
+    return equal(hints, [5, 4, 3, 2, 1, 0])
+        && equal(rest.collect(), [2, 0, 3]);
+});
+
+should('not move back when skipping or indexing by a negative amount', () => {
+    const iterator = lazy.range(0, 5);
+    iterator.advanceBy(-2);
+    return equal(lazy.range(0, 5).skip(-1).collect(), [0, 1, 2, 3, 4])
+        && equal(lazy.from([1, 2, 3]).skip(-1).sizeHint(), [3, 3])
+        && lazy.from([1, 2, 3]).at(-1) === undefined
+        && iterator.next().value === 0;
+});
+
+should('still call functions when counting mapped iterators', () => {
+    let count = 0;
+    const res = lazy.range(0, 5)
+        .each(() => count++)
+        .count();
+    return res === 5 && count === 5;
+});
+
+should('run fused stages in the same order as pulled stages', () => {
+    const build = calls => lazy.from([1, 2, 3, 4, 5, 6, 7, 8])
+        .each(n => calls.push(`each ${n}`))
+        .skipWhile(n => n < 3)
+        .map(n => n * 10)
+        .filter(n => n % 20 === 0)
+        .takeWhile(n => n < 80)
+        .map(n => n + 1);
+
+    const pulledCalls = [];
+    const drivenCalls = [];
+    const pulled = [...build(pulledCalls)];
+    const driven = build(drivenCalls).collect();
+    return equal(pulled, [41, 61])
+        && equal(driven, pulled)
+        && equal(drivenCalls, pulledCalls);
+});
+
+should('close a fused pipeline once when it stops early or throws', () => {
+    const counter = closeCounter();
+    const { gen } = counter;
+    const res1 = lazy.from(gen()).map(n => n * 2).takeWhile(n => n < 6).sum();
+    const res2 = lazy.from(gen()).filter(n => n % 2 === 0).map(n => n * 2).find(n => n > 2);
+    try {
+        lazy.from(gen()).map(n => {
+            if (n === 2) {
+                throw new Error('Failed');
+            }
+
+            return n;
+        }).forEach(() => null);
+    } catch (e) {
+        return res1 === 6 && res2 === 4 && counter.closed === 3;
+    }
+
+    return false;
+});
+
+should('put the iterator into sliding windows', () => {
+    const res1 = lazy.from([1, 2, 3, 4, 5]).windows(3).collect();
+    const res2 = lazy.from([1, 2, 3, 4, 5, 6, 7]).windows(2, 3).collect();
+    const res3 = lazy.from([1, 2, 3, 4, 5]).windows(3, 2, { partial: true }).collect();
+    const res4 = lazy.from([1, 2]).windows(3).collect();
+    return equal(res1, [[1, 2, 3], [2, 3, 4], [3, 4, 5]])
+        && equal(res2, [[1, 2], [4, 5]])
+        && equal(res3, [[1, 2, 3], [3, 4, 5], [5]])
+        && equal(res4, []);
+});
+
+should('slide windows over an endless iterator', () => {
+    const windows = lazy.iterate(n => n * 2, 1).windows(3, 2);
+    const res = windows.map(([a, b, c]) => a + b + c).take(3).collect();
+    return equal(res, [7, 28, 112])
+        && equal(lazy.range(0, 10).windows(4, 3).sizeHint(), [3, 3])
+        && equal(lazy.range(0, 10).windows(4, 3, { partial: true }).sizeHint(), [4, 4]);
+});
+
+shouldEventually('put an async iterator into sliding windows', async () => {
+    const res = await lazy.fromAsync([1, 2, 3, 4, 5])
+        .windows(2, 2, { partial: true })
+        .collect();
+    return equal(res, [[1, 2], [3, 4], [5]]);
+});
+
+should('zip iterators until all of them are done', () => {
+    const res1 = lazy.from([1, 2, 3]).zipLongest(['a'], [true, false]).collect();
+    const res2 = lazy.from([1]).zipLongest(['a', 'b'], { fill: 0 }).collect();
+    const res3 = lazy.from([1]).zipLongest(['a', 'b'], [], { fill: null, defaults: [0, ''] }).collect();
+    return equal(res1, [[1, 'a', true], [2, undefined, false], [3, undefined, undefined]])
+        && equal(res2, [[1, 'a'], [0, 'b']])
+        && equal(res3, [[1, 'a', null], [0, 'b', null]])
+        && equal(lazy.range(0, 3).zipLongest(lazy.range(0, 5)).sizeHint(), [5, 5]);
+});
+
+should('zip iterators with a function', () => {
+    const res1 = lazy.from([1, 2, 3]).zipWith((a, b) => a * b, [4, 5, 6, 7]).collect();
+    const res2 = lazy.range(0, 4).zipWith((a, b, c) => a + b + c, lazy.range(10, 13), lazy.range(20, 24)).rev().collect();
+    return equal(res1, [4, 10, 18]) && equal(res2, [36, 33, 30]);
+});
+
+should('close the remaining iterators of a longest zip', () => {
+    const closed = [];
+    const track = (name, items) => tracked(closed, name, items);
+    lazy.from(track('a', [1, 2, 3])).zipLongest(track('b', [1]), track('c', [1, 2])).take(2).collect();
+    lazy.from(track('d', [1, 2, 3])).zipWith((a, b) => a + b, track('e', [1])).collect();
+    return equal(closed.sort(), ['a', 'c', 'd']);
+});
+
+shouldEventually('zip async iterators until all of them are done or with a function', async () => {
+    const res1 = await lazy.fromAsync([1, 2]).zipLongest(lazy.fromAsync(['a']), { fill: '-' }).collect();
+    const res2 = await lazy.fromAsync([1, 2]).zipWith((a, b) => delay(a + b), [10, 20, 30]).collect();
+    return equal(res1, [[1, 'a'], [2, '-']]) && equal(res2, [11, 22]);
+});
+
+should('interleave iterators', () => {
+    const res1 = lazy.from([1, 2, 3]).interleave(['a'], [true, false]).collect();
+    const res2 = lazy.from([1, 2, 3, 4, 5]).roundRobin([2, 1], ['a', 'b', 'c']).collect();
+    const res3 = lazy.range().roundRobin(3, lazy.repeat('x')).take(8).collect();
+    return equal(res1, [1, 'a', true, 2, false, 3])
+        && equal(res2, [1, 2, 'a', 3, 4, 'b', 5, 'c'])
+        && equal(res3, [0, 1, 2, 'x', 'x', 'x', 3, 4])
+        && equal(lazy.range(0, 3).interleave([1, 2]).sizeHint(), [5, 5]);
+});
+
+should('not take turns with invalid weights', () => {
+    try {
+        lazy.from([1, 2]).roundRobin([1], [3, 4]);
+        return false;
+    } catch (e) {
+        return e instanceof RangeError;
+    }
+});
+
+shouldEventually('interleave async iterators', async () => {
+    const res = await lazy.fromAsync([1, 2, 3])
+        .roundRobin([1, 2], lazy.fromAsync(['a', 'b', 'c']))
+        .collect();
+    return equal(res, [1, 'a', 'b', 2, 'c', 3]);
+});
+
+should('merge sorted iterators', () => {
+    const res1 = lazy.from([1, 4, 7]).mergeSorted([2, 5, 8], [3, 6, 9, 10]).collect();
+    const res2 = lazy.mergeSorted([[{ k: 1, s: 'a' }, { k: 2, s: 'a' }], [{ k: 1, s: 'b' }], [{ k: 0, s: 'c' }, { k: 2, s: 'c' }]], (a, b) => a.k - b.k)
+        .map(({ k, s }) => `${k}${s}`)
+        .collect();
+    const res3 = lazy.mergeSorted([lazy.range(0, Infinity, 3), lazy.range(1, Infinity, 3)]).take(5).collect();
+    return equal(res1, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10])
+        && equal(res2, ['0c', '1a', '1b', '2a', '2c'])
+        && equal(res3, [0, 1, 3, 4, 6])
+        && equal(lazy.mergeSorted([]).collect(), [])
+        && equal(lazy.from([1, 3]).mergeSorted([2]).sizeHint(), [3, 3]);
+});
+
+should('only advance a merged iterator when its next element is needed', () => {
+    const pulled = [];
+    const res = lazy.from([1, 3, 5])
+        .each(n => pulled.push(n))
+        .mergeSorted([2, 4])
+        .take(2)
+        .collect();
+    return equal(res, [1, 2]) && equal(pulled, [1, 3]);
+});
+
+shouldEventually('merge sorted async iterators', async () => {
+    const res = await lazy.fromAsync([5, 3, 1])
+        .mergeSorted([6, 4, 2], lazy.fromAsync([0]), (a, b) => b - a)
+        .collect();
+    return equal(res, [6, 5, 4, 3, 2, 1, 0]);
+});
+
+should('filter out elements that were already seen', () => {
+    const res1 = lazy.from([1, 2, 1, NaN, 3, 2, NaN]).unique().collect();
+    const res2 = lazy.from(['apple', 'avocado', 'banana', 'cherry', 'blueberry']).uniqueBy(s => s[0]).collect();
+    const res3 = lazy.from([1, 2, 1, 3, 4, 1, 2]).unique({ limit: 2 }).collect();
+    const res4 = lazy.range().map(n => n % 5).unique({ limit: 10 }).take(5).collect();
+    return equal(res1, [1, 2, NaN, 3])
+        && equal(res2, ['apple', 'banana', 'cherry'])
+        && equal(res3, [1, 2, 3, 4, 1, 2])
+        && equal(res4, [0, 1, 2, 3, 4]);
+});
+
+should('filter out adjacent equal elements', () => {
+    const res1 = lazy.from([1, 1, 2, 2, 2, 1, NaN, NaN, 3]).dedupAdjacent().collect();
+    const res2 = lazy.from(['a', 'A', 'b', 'B', 'a']).dedupAdjacent((a, b) => a.toLowerCase() === b.toLowerCase()).collect();
+    return equal(res1, [1, 2, 1, NaN, 3]) && equal(res2, ['a', 'b', 'a']);
+});
+
+shouldEventually('filter out duplicates from an async iterator', async () => {
+    const res1 = await lazy.fromAsync([1, 2, 1, 3]).uniqueBy(n => delay(n)).collect();
+    const res2 = await lazy.fromAsync([1, 1, 2, 1]).dedupAdjacent().collect();
+    return equal(res1, [1, 2, 3]) && equal(res2, [1, 2, 1]);
+});
+
+should('combine sorted iterators as multisets', () => {
+    const a = [1, 2, 2, 2, 4, 6];
+    const b = [2, 2, 3, 4, 4];
+    return equal(lazy.from(a).union(b).collect(), [1, 2, 2, 2, 3, 4, 4, 6])
+        && equal(lazy.from(a).intersect(b).collect(), [2, 2, 4])
+        && equal(lazy.from(a).difference(b).collect(), [1, 2, 6])
+        && equal(lazy.from(a).symmetricDifference(b).collect(), [1, 2, 3, 4, 6]);
+});
+
+should('combine sorted iterators as sets', () => {
+    const a = [6, 4, 2, 2, 2, 1];
+    const b = [4, 4, 3, 2, 2];
+    const options = { compare: (x, y) => y - x, distinct: true };
+    return equal(lazy.from(a).union(b, options).collect(), [6, 4, 3, 2, 1])
+        && equal(lazy.from(a).intersect(b, options).collect(), [4, 2])
+        && equal(lazy.from(a).difference(b, options).collect(), [6, 1])
+        && equal(lazy.from(a).symmetricDifference(b, options).collect(), [6, 3, 1]);
+});
+
+should('stop combining endless sorted iterators early', () => {
+    const res1 = lazy.range(0, Infinity, 2).intersect(lazy.range(0, Infinity, 3)).take(4).collect();
+    const res2 = lazy.range(0, 10).intersect(lazy.range(5)).collect();
+    const res3 = lazy.range(0, 10).difference(lazy.range(3)).collect();
+    return equal(res1, [0, 6, 12, 18]) && equal(res2, [5, 6, 7, 8, 9]) && equal(res3, [0, 1, 2]);
+});
+
+should('combine unsorted iterators by hashing', () => {
+    const a = [3, 1, 2, 3, NaN, 3];
+    const b = [5, 3, NaN, 5, 1];
+    return equal(lazy.from(a).hashUnion(b).collect(), [3, 1, 2, 3, NaN, 3, 5, 5])
+        && equal(lazy.from(a).hashIntersect(b).collect(), [3, 1, NaN])
+        && equal(lazy.from(a).hashDifference(b).collect(), [2, 3, 3])
+        && equal(lazy.from(a).hashSymmetricDifference(b).collect(), [2, 3, 3, 5, 5])
+        && equal(lazy.from(a).hashUnion(b, { distinct: true }).collect(), [3, 1, 2, NaN, 5])
+        && equal(lazy.from(a).hashDifference(b, { distinct: true }).collect(), [2])
+        && equal(lazy.range().hashIntersect([5, 2]).take(2).collect(), [2, 5]);
+});
+
+shouldEventually('combine async iterators as sets', async () => {
+    const res1 = await lazy.fromAsync([1, 3, 5]).union(lazy.fromAsync([2, 3, 4])).collect();
+    const res2 = await lazy.fromAsync([1, 3, 5]).hashSymmetricDifference(lazy.fromAsync([5, 4, 3])).collect();
+    return equal(res1, [1, 2, 3, 4, 5]) && equal(res2, [1, 4]);
+});
+
+should('make the cartesian product of iterators', () => {
+    const res1 = lazy.product([1, 2], 'ab', [true]).collect();
+    const res2 = lazy.product(lazy.range(), lazy.range()).take(6).collect();
+    const res3 = lazy.product([1, 2, 3], 'ab', { diagonal: true }).collect();
+    return equal(res1, [[1, 'a', true], [1, 'b', true], [2, 'a', true], [2, 'b', true]])
+        && equal(res2, [[0, 0], [0, 1], [1, 0], [0, 2], [1, 1], [2, 0]])
+        && equal(res3, [[1, 'a'], [1, 'b'], [2, 'a'], [2, 'b'], [3, 'a'], [3, 'b']])
+        && equal(lazy.product([1, 2], []).collect(), [])
+        && equal(lazy.product().collect(), [[]]);
+});
+
+should('make the cartesian product of endless iterators of unknown size in diagonal order when asked', () => {
+    const res = lazy.product(lazy.range(0, 2), lazy.iterate(n => n + 1, 0), { diagonal: true }).take(4).collect();
+    return equal(res, [[0, 0], [0, 1], [1, 0], [0, 2]]);
+});
+
+shouldEventually('make the cartesian product of async iterators', async () => {
+    const res1 = await AsyncLazyIterator.product([1, 2], lazy.fromAsync('ab')).collect();
+    const res2 = await AsyncLazyIterator.product(lazy.range().toAsync(), lazy.range().toAsync(), { diagonal: true }).take(3).collect();
+    return equal(res1, [[1, 'a'], [1, 'b'], [2, 'a'], [2, 'b']])
+        && equal(res2, [[0, 0], [0, 1], [1, 0]]);
+});
+
+should('make permutations and combinations in lexicographic order', () => {
+    return equal(lazy.from('abc').permutations().map(p => p.join('')).collect(), ['abc', 'acb', 'bac', 'bca', 'cab', 'cba'])
+        && equal(lazy.from([1, 2, 3]).permutations(2).collect(), [[1, 2], [1, 3], [2, 1], [2, 3], [3, 1], [3, 2]])
+        && equal(lazy.from([1, 2, 3, 4]).combinations(2).collect(), [[1, 2], [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]])
+        && equal(lazy.from([1, 2, 3]).combinationsWithReplacement(2).collect(), [[1, 1], [1, 2], [1, 3], [2, 2], [2, 3], [3, 3]])
+        && equal(lazy.from([1, 2]).combinations(3).collect(), [])
+        && equal(lazy.from([1, 2]).combinations(0).collect(), [[]]);
+});
+
+should('make combinatorics of endless iterators', () => {
+    const res1 = lazy.range().permutations(2).take(3).collect();
+    const res2 = lazy.range().combinations(3).take(3).collect();
+    const res3 = lazy.range().powerset().take(6).collect();
+    return equal(res1, [[0, 1], [0, 2], [0, 3]])
+        && equal(res2, [[0, 1, 2], [0, 1, 3], [0, 1, 4]])
+        && equal(res3, [[], [0], [1], [0, 1], [2], [0, 2]])
+        && equal(lazy.from('ab').powerset().collect(), [[], ['a'], ['b'], ['a', 'b']]);
+});
+
+shouldEventually('make combinatorics of async iterators', async () => {
+    const res1 = await lazy.fromAsync([1, 2, 3]).combinations(2).collect();
+    const res2 = await lazy.fromAsync([1, 2]).permutations().collect();
+    return equal(res1, [[1, 2], [1, 3], [2, 3]]) && equal(res2, [[1, 2], [2, 1]]);
+});
+
+should('find the greatest and least elements', () => {
+    const people = [{ name: 'a', age: 30 }, { name: 'b', age: 20 }, { name: 'c', age: 30 }, { name: 'd', age: 40 }, { name: 'e', age: 20 }];
+    const byAge = (x, y) => x.age - y.age;
+    const res1 = lazy.from([5, 1, 4, 2, 3]).topK(3);
+    const res2 = lazy.from([5, 1, 4, 2, 3]).bottomK(2);
+    const res3 = lazy.from(people).topK(3, byAge).map(p => p.name);
+    const res4 = lazy.from(people).bottomK(3, byAge).map(p => p.name);
+    return equal(res1, [5, 4, 3])
+        && equal(res2, [1, 2])
+        && equal(res3, ['d', 'a', 'c'])
+        && equal(res4, ['b', 'e', 'a'])
+        && equal(lazy.from([1, 2]).topK(5), [2, 1])
+        && equal(lazy.from([1, 2]).topK(0), []);
+});
+
+should('sort by a key stably', () => {
+    const words = ['pear', 'fig', 'apple', 'kiwi', 'plum', 'date'];
+    const res1 = lazy.from(words).sortedBy(w => w.length);
+    const res2 = lazy.from(words).sortedBy(w => w[0], (a, b) => b.localeCompare(a));
+    return equal(res1, ['fig', 'pear', 'kiwi', 'plum', 'date', 'apple'])
+        && equal(res2, ['pear', 'plum', 'kiwi', 'fig', 'date', 'apple']);
+});
+
+should('sort lazily', () => {
+    const pairs = lazy.from([[3, 'a'], [1, 'b'], [3, 'c'], [2, 'd'], [1, 'e']]);
+    const res1 = pairs.sorted((x, y) => x[0] - y[0]).map(([, s]) => s).collect();
+    const res2 = lazy.from([5, 3, 9, 1, 7]).sorted().take(2).collect();
+    const sorted = lazy.from([3, 1, 2]).sorted((a, b) => b - a);
+    const hint = sorted.sizeHint();
+    sorted.next();
+    return equal(res1, ['b', 'e', 'd', 'a', 'c'])
+        && equal(res2, [1, 3])
+        && equal(hint, [3, 3])
+        && equal(sorted.sizeHint(), [2, 2]);
+});
+
+shouldEventually('sort and find the greatest elements of async iterators', async () => {
+    const res1 = await lazy.fromAsync([3, 1, 2]).topK(2);
+    const res2 = await lazy.fromAsync(['bb', 'a', 'ccc']).sortedBy(s => delay(s.length));
+    const res3 = await lazy.fromAsync([3, 1, 2]).sorted().collect();
+    return equal(res1, [3, 2]) && equal(res2, ['a', 'bb', 'ccc']) && equal(res3, [1, 2, 3]);
+});
+
+should('sum numbers accurately and sum BigInts', () => {
+    const big = global.BigInt;
+    const values = [1e100, 1, -1e100, 1];
+    const res1 = lazy.from(values).sum();
+    const res2 = lazy.from(values).sum({ compensated: true });
+    const res3 = lazy.repeat(0.1, 10).sum({ compensated: true });
+    const res4 = big
+        ? lazy.from([big(2) ** big(64), big(1)]).sum() === (big(2) ** big(64)) + big(1)
+        : true;
+    return res1 === 1 && res2 === 2 && res3 === 1 && res4 && lazy.from([]).sum({ compensated: true }) === 0;
+});
+
+should('sum other values starting from zero', () => {
+    return Number.isNaN(lazy.from([undefined, 1]).sum())
+        && lazy.from([[1], [2]]).sum() === '012'
+        && lazy.from(['a', 'b']).sum() === '0ab';
+});
+
+should('take the mean, variance and standard deviation', () => {
+    const values = [2, 4, 4, 4, 5, 5, 7, 9];
+    const shifted = values.map(n => n + 1e9);
+    return lazy.from(values).mean() === 5
+        && lazy.from(values).variance() === 4
+        && lazy.from(values).stddev() === 2
+        && Math.abs(lazy.from(values).variance({ sample: true }) - (32 / 7)) < 1e-12
+        && Math.abs(lazy.from(shifted).variance() - 4) < 1e-6
+        && lazy.from([]).mean() === undefined
+        && lazy.from([1]).variance({ sample: true }) === undefined;
+});
+
+should('take exact and approximate quantiles', () => {
+    const res1 = lazy.from([3, 1, 4, 1, 5]).median();
+    const res2 = lazy.from([1, 2, 3, 4]).quantiles([0, 0.25, 0.5, 1]);
+    const [p50, p90] = lazy.range(0, 10001).map(n => (n * 7919) % 10001).quantiles([0.5, 0.9], { approximate: true });
+    const res3 = lazy.from([2, 1]).median({ approximate: true });
+    return res1 === 3
+        && equal(res2, [1, 1.75, 2.5, 4])
+        && Math.abs(p50 - 5000) < 100
+        && Math.abs(p90 - 9000) < 100
+        && res3 === 1.5
+        && equal(lazy.from([]).quantiles([0.5]), [undefined]);
+});
+
+should('find the minimum and maximum in one pass', () => {
+    const res1 = lazy.from([3, 1, 4, 1, 5, 9, 2]).minMax();
+    const res2 = lazy.from(['bb', 'a', 'ccc', 'dd']).minMax(s => s.length);
+    return equal(res1, [1, 9]) && equal(res2, ['a', 'ccc']) && equal(lazy.from([]).minMax(), [undefined, undefined]);
+});
+
+shouldEventually('take statistics of async iterators', async () => {
+    const values = [2, 4, 4, 4, 5, 5, 7, 9];
+    const mean = await lazy.fromAsync(values).mean();
+    const stddev = await lazy.fromAsync(values).stddev();
+    const median = await lazy.fromAsync(values).median();
+    const sum = await lazy.fromAsync([1e100, 1, -1e100, 1]).sum({ compensated: true });
+    const minMax = await lazy.fromAsync(values).minMax(n => delay(-n));
+    return mean === 5 && stddev === 2 && median === 4.5 && sum === 2 && equal(minMax, [9, 2]);
+});
+
+should('count down and step by fractions without drift', () => {
+    const res1 = lazy.range(10, 0, -3).collect();
+    const res2 = lazy.range(10, 0, -2, true).collect();
+    const res3 = lazy.range(3, undefined, -1).take(5).collect();
+    const res4 = lazy.range(0, 1, 0.1).collect();
+    const res5 = lazy.range(0, 0.3, 0.1, true).count();
+    return equal(res1, [10, 7, 4, 1])
+        && equal(res2, [10, 8, 6, 4, 2, 0])
+        && equal(res3, [3, 2, 1, 0, -1])
+        && res4.length === 10
+        && res4[3] === 3 * 0.1
+        && res5 === 4
+        && equal(lazy.range(0, Infinity, -1).collect(), []);
+});
+
+should('make ranges of BigInts', () => {
+    const huge = BigInt(2) ** BigInt(64);
+    const res1 = lazy.range(BigInt(0), BigInt(10), BigInt(3)).collect();
+    const res2 = lazy.range(BigInt(10), BigInt(0), BigInt(-5), true).rev().collect();
+    const res3 = lazy.range(huge).take(2).collect();
+    return equal(res1, [BigInt(0), BigInt(3), BigInt(6), BigInt(9)])
+        && equal(res2, [BigInt(0), BigInt(5), BigInt(10)])
+        && equal(res3, [huge, huge + BigInt(1)])
+        && lazy.range(BigInt(0), huge).at(1e15) === BigInt(1e15);
+});
+
+should('not make ranges with a zero step or mixed types', () => {
+    const throws = (fn, cls) => {
+        try {
+            fn();
+            return false;
+        } catch (e) {
+            return e instanceof cls;
+        }
+    };
+
+    return throws(() => lazy.range(0, 10, 0), RangeError)
+        && throws(() => lazy.range(BigInt(0), BigInt(10), BigInt(0)), RangeError)
+        && throws(() => lazy.range(0, BigInt(10)), TypeError);
+});
+
+should('answer questions about ranges without iterating', () => {
+    const range = lazy.range(0, 1e12);
+    const steps = lazy.range(0, 10, 3);
+    return range.length === 1e12
+        && range.includes(5)
+        && !range.includes(5.5)
+        && !range.includes(1e12)
+        && range.at(999999999999) === 999999999999
+        && range.at(1e12) === undefined
+        && equal([...range.slice(2, 5)], [2, 3, 4])
+        && equal([...range.slice(-2)], [999999999998, 999999999999])
+        && equal([...steps.reverse()], [9, 6, 3, 0])
+        && equal([...steps.stepBy(2)], [0, 6])
+        && !steps.includes(3, 2)
+        && lazy.range(5).length === Infinity
+        && lazy.range(5).includes(1e15);
+});
+
+should('iterate ranges many times', () => {
+    const range = lazy.range(1, 4);
+    const res1 = [...range];
+    const res2 = [...range];
+    range.next();
+    range.peek();
+    return equal(res1, [1, 2, 3])
+        && equal(res2, [1, 2, 3])
+        && range.length === 2
+        && range.at(0) === 2
+        && equal([...range], [2, 3])
+        && equal(range.collect(), [2, 3])
+        && range.length === 2;
+});
+
+should('start adaptors and consumers of a range from a copy', () => {
+    const range = lazy.range(0, 5);
+    const res1 = range.map(n => n * 2).collect();
+    const res2 = range.map(n => n * 2).collect();
+    const found = range.find(n => n === 3);
+    const some = range.some(n => n === 4);
+    const zipped = lazy.from(['a', 'b']).zip(range).collect();
+    return equal(res1, [0, 2, 4, 6, 8])
+        && equal(res2, res1)
+        && found === 3
+        && some
+        && equal(zipped, [['a', 0], ['b', 1]])
+        && range.length === 5
+        && range.next().value === 0;
+});
+
+should('answer questions about ranges of BigInts', () => {
+    const range = lazy.range(BigInt(1), BigInt(10), BigInt(2));
+    const endless = lazy.range(BigInt(5));
+    return range.length === BigInt(5)
+        && range.includes(BigInt(5))
+        && !range.includes(BigInt(6))
+        && !range.includes(5)
+        && range.at(1) === BigInt(3)
+        && equal([...range.reverse()], [BigInt(9), BigInt(7), BigInt(5), BigInt(3), BigInt(1)])
+        && equal([...range.slice(1, -1)], [BigInt(3), BigInt(5), BigInt(7)])
+        && endless.length === Infinity
+        && equal(endless.stepBy(3).take(2).collect(), [BigInt(5), BigInt(8)]);
+});
+
+should('tee endless iterators', () => {
+    const [a, b, c] = lazy.range(0).map(x => x * 2).tee(3);
+    const res1 = a.take(5).collect();
+    const res2 = b.take(3).collect();
+    return equal(res1, [0, 2, 4, 6, 8])
+        && equal(res2, [0, 2, 4])
+        && equal(c.take(6).collect(), [0, 2, 4, 6, 8, 10]);
+});
+
+should('only buffer the gap between teed iterators', () => {
+    const [a, b] = lazy.from([1, 2, 3, 4]).tee(2, { maxBuffer: 2 });
+    a.next();
+    a.next();
+    let threw = false;
+    try {
+        a.next();
+    } catch (e) {
+        threw = e instanceof RangeError;
+    }
+
+    return threw
+        && equal(b.take(3).collect(), [1, 2, 3])
+        && equal(a.collect(), [3, 4]);
+});
+
+should('close the source once every teed iterator is closed', () => {
+    let closed = false;
+    const source = {
+        [Symbol.iterator]() {
+            let i = 0;
+            return {
+                next: () => ({ done: false, value: i++ }),
+                return: () => {
+                    closed = true;
+                    return { done: true };
+                }
+            };
+        }
+    };
+
+    const [a, b] = lazy.from(source).tee();
+    a.take(2).collect();
+    const before = closed;
+    b.take(1).collect();
+    return !before && closed;
+});
+
+should('peek at and advance teed iterators', () => {
+    const [a, b] = lazy.range(0, 5).tee();
+    const peeked = a.peek().value;
+    a.advanceBy(2);
+    return peeked === 0
+        && equal(a.collect(), [2, 3, 4])
+        && equal(b.collect(), [0, 1, 2, 3, 4]);
+});
+
+shouldEventually('peek at teed async iterators', async () => {
+    const [a, b] = lazy.fromAsync([1, 2]).tee();
+    const peeked = (await a.peek()).value;
+    return peeked === 1
+        && equal(await a.collect(), [1, 2])
+        && equal(await b.collect(), [1, 2]);
+});
+
+shouldEventually('tee async iterators and wait for room in the buffer', async () => {
+    const [a, b] = lazy.range(0).toAsync().tee(2, { maxBuffer: 2, block: true });
+    const [res1, res2] = await Promise.all([a.take(6).collect(), b.take(6).collect()]);
+    return equal(res1, [0, 1, 2, 3, 4, 5])
+        && equal(res2, [0, 1, 2, 3, 4, 5]);
+});
+
+should('iterate sequences many times', () => {
+    let calls = 0;
+    const seq = lazy.seq(() => {
+        calls++;
+        return [1, 2, 3, 4, 5, 6];
+    });
+
+    const evens = seq.filter(x => x % 2 === 0).map(x => x * 10);
+    const before = calls;
+    return before === 0
+        && equal([...evens], [20, 40, 60])
+        && equal([...evens], [20, 40, 60])
+        && evens.sum() === 120
+        && equal(seq.collect(), [1, 2, 3, 4, 5, 6])
+        && calls === 4;
+});
+
+should('use sequences in adaptors of sequences', () => {
+    const zipped = lazy.seq(() => lazy.range(0)).zip(lazy.seq(() => 'abc'));
+    return equal(zipped.collect(), [[0, 'a'], [1, 'b'], [2, 'c']])
+        && equal(zipped.take(2).collect(), [[0, 'a'], [1, 'b']])
+        && zipped.iter() instanceof lazy;
+});
+
+shouldEventually('iterate async sequences many times', async () => {
+    const doubled = lazy.seqAsync(() => [1, 2, 3]).map(x => Promise.resolve(x * 2));
+    const res = [];
+    for await (const value of doubled) {
+        res.push(value);
+    }
+
+    return equal(await doubled.collect(), [2, 4, 6])
+        && equal(res, [2, 4, 6]);
+});
+
+should('memoize values for later readers', () => {
+    let pulls = 0;
+    const memo = lazy.range(0).each(() => pulls++).memoize();
+    const res1 = memo.take(3).collect();
+    const pulls1 = pulls;
+    const res2 = memo.take(5).collect();
+    const res3 = memo.take(2).collect();
+    return equal(res1, [0, 1, 2])
+        && equal(res2, [0, 1, 2, 3, 4])
+        && equal(res3, [0, 1])
+        && pulls1 === 3
+        && pulls === 5;
+});
+
+should('read memoized values from many iterators at once', () => {
+    const memo = lazy.from([1, 2, 3]).memoize();
+    const a = memo.iter();
+    const b = memo.iter();
+    a.next();
+    return equal(b.collect(), [1, 2, 3])
+        && equal(a.collect(), [2, 3])
+        && equal([...memo], [1, 2, 3]);
+});
+
+should('peek at iterators of memoized values', () => {
+    const iterator = lazy.from([1, 2, 3]).memoize().iter();
+    const peeked = iterator.peek().value;
+    return peeked === 1
+        && equal(iterator.collect(), [1, 2, 3])
+        && iterator.len() === 0;
+});
+
+shouldEventually('memoize async values for concurrent readers', async () => {
+    let pulls = 0;
+    const memo = lazy.fromAsync([1, 2, 3]).map(x => {
+        pulls++;
+        return Promise.resolve(x);
+    }).memoize();
+
+    const [res1, res2] = await Promise.all([memo.collect(), memo.collect()]);
+    return equal(res1, [1, 2, 3])
+        && equal(res2, [1, 2, 3])
+        && pulls === 3;
+});
+
+should('substitute or skip elements that fail', () => {
+    const parse = x => {
+        if (x === 'b') {
+            throw new Error(`Bad ${x}`);
+        }
+
+        return x.toUpperCase();
+    };
+
+    const res1 = lazy.from(['a', 'b', 'c']).map(parse).catchError(() => []).collect();
+    const res2 = lazy.from(['a', 'b', 'c']).map(parse).catchError(err => [err.message]).collect();
+    const res3 = lazy.from(['a', 'b']).mapSettled(parse).map(r => r.ok ? r.value : r.error.message).collect();
+    return equal(res1, ['A', 'C'])
+        && equal(res2, ['A', 'Bad b', 'C'])
+        && equal(res3, ['A', 'Bad b']);
+});
+
+should('skip a long run of failing elements', () => {
+    const fail = () => {
+        throw new Error('Bad');
+    };
+
+    return lazy.range(0, 1e5).map(fail).catchError(() => []).count() === 0;
+});
+
+should('retry flaky functions', () => {
+    let calls = 0;
+    const res = lazy.from([1, 2]).retry(x => {
+        calls++;
+        if (calls % 2) {
+            throw new Error('Flaky');
+        }
+
+        return x;
+    }).collect();
+
+    let thrown;
+    try {
+        lazy.from([1]).retry(() => {
+            calls++;
+            throw new Error('Always');
+        }, { attempts: 2 }).collect();
+    } catch (e) {
+        thrown = e;
+    }
+
+    return equal(res, [1, 2])
+        && thrown.message === 'Always'
+        && calls === 6;
+});
+
+shouldEventually('substitute async elements that fail', async () => {
+    const res1 = await lazy.fromAsync([1, 2, 3])
+        .map(x => x === 2 ? Promise.reject(new Error('Bad')) : x)
+        .catchError(() => Promise.resolve([0]))
+        .collect();
+
+    const res2 = await lazy.fromAsync([1, 2])
+        .mapSettled(x => x === 2 ? Promise.reject(new Error('Bad')) : x)
+        .map(r => r.ok)
+        .collect();
+
+    const res3 = await lazy.fromAsync(lazy.range(0, 1e4))
+        .map(() => Promise.reject(new Error('Bad')))
+        .catchError(() => [])
+        .count();
+
+    return equal(res1, [1, 0, 3])
+        && equal(res2, [true, false])
+        && res3 === 0;
+});
+
+should('wrap errors with the stage they came from', () => {
+    lazy.wrapErrors();
+    const iter = lazy.range(0)
+        .map(x => x + 1)
+        .filter(x => {
+            if (x === 4) {
+                throw new TypeError('Four');
+            }
+
+            return true;
+        });
+
+    lazy.wrapErrors(false);
+    let thrown;
+    try {
+        iter.collect();
+    } catch (e) {
+        thrown = e;
+    }
+
+    return thrown instanceof lazy.StageError
+        && thrown.stage === 'filter'
+        && thrown.position === 2
+        && thrown.index === 3
+        && thrown.value === 4
+        && thrown.cause instanceof TypeError
+        && thrown.message === 'filter at stage 2 failed on element 3 (4): Four';
+});
+
+should('not wrap errors unless asked to', () => {
+    const err = new Error('Raw');
+    try {
+        lazy.from([1]).map(() => {
+            throw err;
+        }).collect();
+    } catch (e) {
+        return e === err;
+    }
+
+    return false;
+});
+
+shouldEventually('wrap errors of async callbacks', async () => {
+    lazy.wrapErrors();
+    const iter = lazy.fromAsync([1, 2]).map(x => x === 2 ? Promise.reject(new Error('Two')) : x);
+    lazy.wrapErrors(false);
+    try {
+        await iter.collect();
+    } catch (e) {
+        return e instanceof lazy.StageError
+            && e.stage === 'map'
+            && e.index === 1
+            && e.cause.message === 'Two';
+    }
+
+    return false;
+});
+
+should('show the chain of adaptors when inspected', () => {
+    const { inspect } = require('util');
+    const iter = lazy.range(0).map(x => x * 2).filter(x => x % 3).take(10);
+    const res = inspect(iter);
+    return res === 'LazyIterator [Range -> Map -> Filter -> Take(10)]'
+        && iter.next().value === 2
+        && inspect(lazy.fromAsync([1]).map(x => x)) === 'AsyncLazyIterator [AsyncFromSyncIterator -> Map]';
+});
+
+should('trace pulls through an iterator', () => {
+    const lines = [];
+    const res = lazy.from([1, 2]).map(x => x + 1).trace('mapped', { log: line => lines.push(line) }).collect();
+    return equal(res, [2, 3])
+        && equal(lines.map(line => line.replace(/ \(.*ms\)$/, '')), [
+            '[mapped] pull 0',
+            '[mapped] yield 0: 2',
+            '[mapped] pull 1',
+            '[mapped] yield 1: 3',
+            '[mapped] pull 2',
+            '[mapped] done on pull 2'
+        ]);
+});
+
+should('trace every stage while debugging', () => {
+    const lines = [];
+    lazy.debug(true, { log: line => lines.push(line) });
+    const iter = lazy.from([1, 2]).map(x => x + 1).filter(x => x > 2);
+    lazy.debug(false);
+    const res = iter.collect();
+    const filtered = lines.filter(line => line.startsWith('[Filter]')).map(line => line.replace(/ \(.*ms\)$/, ''));
+    return equal(res, [3])
+        && equal(filtered, ['[Filter] pull 0', '[Filter] yield 0: 3', '[Filter] pull 1', '[Filter] done on pull 1'])
+        && lines.filter(line => line.startsWith('[Array] pull')).length === 3;
+});
+
+should('label traced stages with how they were made', () => {
+    const lines = [];
+    lazy.debug(true, { log: line => lines.push(line) });
+    const iter = lazy.from([1, 2, 3, 4]).take(3);
+    lazy.debug(false);
+    iter.collect();
+    return lines[0] === '[Take(3)] pull 0';
+});
+
+should('log to stderr again once debugging is turned off', () => {
+    const lines = [];
+    const { write } = process.stderr;
+    lazy.debug(true, { log: line => lines.push(line) });
+    lazy.debug(false);
+    lazy.debug(true);
+    let written = 0;
+    process.stderr.write = () => {
+        written++;
+        return true;
+    };
+
+    try {
+        lazy.from([1]).collect();
+    } finally {
+        process.stderr.write = write;
+        lazy.debug(false);
+    }
+
+    return lines.length === 0 && written > 0;
+});
+
+should('count elements through each stage while measuring', () => {
+    const finished = [];
+    lazy.measure(true, { onStage: stage => finished.push(stage.stage) });
+    const iter = lazy.range(0, 100).map(x => x * 2).filter(x => x % 3 === 0).take(5);
+    lazy.measure(false);
+    const res = iter.collect();
+    const [range, map, filter, take] = iter.metrics();
+    return equal(res, [0, 6, 12, 18, 24])
+        && range.emitted === 13
+        && map.pulled === 13
+        && map.callbackTime >= 0
+        && filter.pulled === 13
+        && filter.emitted === 5
+        && filter.dropped === 8
+        && filter.dropRate === 8 / 13
+        && take.position === 3
+        && take.stage === 'Take(5)'
+        && equal(finished.sort(), ['Filter', 'Map', 'Range', 'Take(5)'])
+        && lazy.from([1]).map(x => x).metrics().length === 0;
+});
+
+should('time indexed flatMap callbacks while measuring', () => {
+    const busy = () => {
+        const start = Date.now();
+        while (Date.now() - start < 2) {
+            // Spin so the callback takes measurable time
+        }
+    };
+    lazy.measure(true);
+    const iter = lazy.from([1, 2]).flatMap((x, i) => {
+        busy();
+        return [x, i];
+    });
+    lazy.measure(false);
+    const res = iter.collect();
+    const [, flatMap] = iter.metrics();
+    return equal(res, [1, 0, 2, 1])
+        && flatMap.pulled === 2
+        && flatMap.callbackTime > 0;
+});
+
+shouldEventually('count elements through async stages while measuring', async () => {
+    lazy.measure();
+    const iter = lazy.fromAsync([1, 2, 3, 4]).filter(x => Promise.resolve(x > 2));
+    lazy.measure(false);
+    const res = await iter.collect();
+    const filter = iter.metrics()[1];
+    return equal(res, [3, 4])
+        && filter.pulled === 4
+        && filter.emitted === 2;
+});
+
+should('give callbacks the index of each element', () => {
+    const indexes = [];
+    lazy.from([1, 2]).each((x, i) => indexes.push(i)).forEach((x, i) => indexes.push(i * 10));
+    return equal(lazy.from(['a', 'b', 'c']).map((x, i) => x + i).collect(), ['a0', 'b1', 'c2'])
+        && equal(lazy.from([5, 6, 7, 8]).filter((x, i) => i % 2).collect(), [6, 8])
+        && equal(lazy.from([1, 2, 3]).takeWhile((x, i) => i < 2).collect(), [1, 2])
+        && equal(lazy.from([1, 2, 3]).skipWhile((x, i) => i < 2).collect(), [3])
+        && equal(lazy.from([1, 2, 3]).scan((a, x, i) => a + (x * i)).collect(), [1, 3, 9])
+        && equal(lazy.from([1, 2]).flatMap((x, i) => [x, i]).collect(), [1, 0, 2, 1])
+        && lazy.from([5, 6, 7]).find((x, i) => i === 1) === 6
+        && lazy.from([5, 6, 7]).findIndex((x, i) => i === 2) === 2
+        && lazy.from([5, 6, 7]).every((x, i) => x === i + 5)
+        && !lazy.from([5, 6, 7]).some((x, i) => i > 5)
+        && equal(indexes, [0, 0, 1, 10]);
+});
+
+should('give the index to callbacks with rest parameters but not to callbacks with one parameter', () => {
+    return equal(lazy.from(['a', 'b']).map((...args) => args[1]).collect(), [0, 1])
+        && equal(lazy.from(['a', 'b']).filter((...args) => args[1] > 0).collect(), ['b'])
+        && equal(lazy.from(['a', 'b']).map((x, i = 5) => i).collect(), [5, 5]);
+});
+
+should('give callbacks the index of elements from the back', () => {
+    return equal(lazy.from(['a', 'b', 'c']).map((x, i) => x + i).rev().collect(), ['c2', 'b1', 'a0'])
+        && equal(lazy.from([5, 6, 7, 8]).filter((x, i) => i % 2).rev().collect(), [8, 6])
+        && lazy.from([5, 6, 7]).rfind((x, i) => i === 1) === 6
+        && lazy.from([5, 6, 7]).rposition((x, i) => i === 0) === 0
+        && !lazy.from(new Set([1])).map((x, i) => x + i).doubleEnded;
+});
+
+should('search from the back without an index when the length is unknown', () => {
+    const indices = [];
+    const found = lazy.from([1, 2, 3]).filter(x => x > 1).rfind((x, i) => {
+        indices.push(i);
+        return x < 3;
+    });
+    return lazy.from([1, 2, 3]).filter(x => x > 1).rfind(() => true) === 3
+        && found === 2
+        && equal(indices, [undefined, undefined]);
+});
+
+shouldEventually('give async callbacks the index of each element', async () => {
+    const res = await lazy.fromAsync(['a', 'b']).map((x, i) => x + i).filter((x, i) => i > 0).collect();
+    return equal(res, ['b1'])
+        && await lazy.fromAsync([5, 6]).findIndex((x, i) => i === 1) === 1;
+});